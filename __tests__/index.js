@@ -28,7 +28,7 @@
  *         the right package version when used with Electron.
  */
 
-/* globals jest: false, beforeAll: false, beforeEach: false, describe: false, it: false, expect: false */
+/* globals jest: false, beforeAll: false, afterAll: false, beforeEach: false, describe: false, it: false, expect: false */
 
 'use strict'
 
@@ -37,7 +37,8 @@ Object.defineProperty(window, 'EventSource', {value: EventSourceMock})
 
 import fetchMock from 'fetch-mock/es5/client'
 
-import {SharedDataLoaders, DeserializingDataProcessor, DeserializingSingletonDataProcessor} from './dist/index-webpack.js'
+import {SharedDataLoaders, PooledDataRequest, StreamedDataLoader, PollingStreamedDataLoader, PersistentDataCache, SharedEventSource, statusTransports,
+  DataWorker, DataWorkerStore, framedDecoder, DeserializingDataProcessor, DeserializingSingletonDataProcessor} from './dist/index-webpack.js'
 
 const dateRE = /^[0-9]{4}-[0-9]{2}-[0-9]{2}T[0-9]{1,2}:[0-9]{2}:[0-9]{2}(\.[0-9]{1,})?Z$/
 
@@ -171,6 +172,112 @@ const updatingLoaderParams = {
 
 // jest.setTimeout(1 * 60 * 1000)
 
+describe('PooledDataRequest class', () => {
+
+  beforeAll(() => {
+    let dataURL = new URL('/test/data', document.location)
+    fetchMock.reset()
+    fetchMock
+      .post(dataURL, fetchDataMock)
+      .post(new URL('/test/slow', document.location), fetchDataMock, {delay: 1000})
+      .catch(400)
+  })
+
+  it('should limit active requests by pool', async () => {
+    PooledDataRequest.configurePool('test-limited', {limit: 1})
+    let requests = [0, 1].map(i => new PooledDataRequest({name: `test-${i}`, pool: 'test-limited'})),
+        promises = requests.map(request => request.queueDataRequest({url: '/test/data', params: {}}))
+    expect(requests.map(request => request._dataRequest.state)).toEqual(['active', 'queueud'])
+    let pool = PooledDataRequest.configurePool('test-limited', {limit: 2})
+    expect(pool).toEqual({limit: 2, agingInterval: 0, queued: 0, active: 2})
+    expect(requests.map(request => request._dataRequest.state)).toEqual(['active', 'active'])
+    await Promise.all(promises)
+    for (let request of requests)
+      request.releaseDataRequest()
+    expect(PooledDataRequest.configurePool('test-limited')).toEqual({limit: 2, agingInterval: 0, queued: 0, active: 0})
+  })
+
+  it('should keep pools independent', () => {
+    PooledDataRequest.configurePool('test-bulk', {limit: 1})
+    let bulk = [0, 1].map(i => new PooledDataRequest({name: `bulk-${i}`, pool: 'test-bulk'})),
+        interactive = new PooledDataRequest({name: 'interactive', pool: 'test-interactive'})
+    for (let request of [...bulk, interactive])
+      request.queueDataRequest({url: '/test/data', params: {}}).catch(() => {})
+    expect(bulk[1]._dataRequest.state).toEqual('queueud')
+    expect(interactive._dataRequest.state).toEqual('active')
+    for (let request of [...bulk, interactive])
+      request.destroy()
+  })
+
+  it('should start queued requests by priority', () => {
+    PooledDataRequest.configurePool('test-priority', {limit: 1})
+    let requests = [0, 1, 2].map(i => new PooledDataRequest({name: `test-${i}`, pool: 'test-priority'}))
+    requests[0].queueDataRequest({url: '/test/data', params: {}}).catch(() => {})
+    requests[1].queueDataRequest({url: '/test/data', params: {}, priority: 1}).catch(() => {})
+    requests[2].queueDataRequest({url: '/test/data', params: {}}).catch(() => {})
+    requests[2].updateDataRequestPriority(2)
+    requests[0].destroy()
+    expect(requests.slice(1).map(request => request._dataRequest.state)).toEqual(['queueud', 'active'])
+    for (let request of requests)
+      request.destroy()
+  })
+
+  it('should encode GET requests in the URL', async () => {
+    let request = new PooledDataRequest({
+      name: 'test-get',
+      method: 'GET',
+      credentials: 'same-origin',
+      headers: {'X-Tenant': 'test'},
+      prepareRequest: (init, url) => { init.headers['Authorization'] = 'Bearer test' }
+    })
+    await request.queueDataRequest({url: '/test/data', params: {filter: 'all', cutoff: 1}}).catch(() => {})
+    request.releaseDataRequest()
+    let [url, init] = fetchMock.lastCall()
+    url = new URL(url)
+    expect(url.searchParams.get('filter')).toEqual('all')
+    expect(url.searchParams.get('cutoff')).toEqual('1')
+    expect(init.method).toEqual('GET')
+    expect(init.credentials).toEqual('same-origin')
+    expect(init.body).toBeUndefined()
+    expect(init.headers).toEqual({'X-Tenant': 'test', 'Authorization': 'Bearer test'})
+  })
+
+  it('should time out slow requests', async () => {
+    let request = new PooledDataRequest({name: 'test-timeout', timeout: 50}),
+        promise = request.queueDataRequest({url: '/test/slow', params: {}})
+    await expect(promise).rejects.toThrow(/timed out/)
+    request.releaseDataRequest()
+  })
+
+  it('should send requests with a custom fetch function', async () => {
+    let fetched = [],
+        request = new PooledDataRequest({
+          name: 'test-fetch',
+          fetch: (url, init) => {
+            fetched.push([url.pathname, init.method])
+            return Promise.resolve(new Response('{}'))
+          }
+        })
+    let response = await request.queueDataRequest({url: '/test/custom', params: {}})
+    expect(await response.json()).toEqual({})
+    expect(fetched).toEqual([ ['/test/custom', 'POST'] ])
+    request.releaseDataRequest()
+  })
+
+  it('should fail requests whose prepareRequest hook throws', async () => {
+    PooledDataRequest.configurePool('test-hook', {limit: 1})
+    let request = new PooledDataRequest({
+          name: 'test-hook',
+          pool: 'test-hook',
+          prepareRequest: () => { throw new Error('no token') } }),
+        promise = request.queueDataRequest({url: '/test/data', params: {}})
+    await expect(promise).rejects.toThrow(/no token/)
+    request.releaseDataRequest()
+    expect(PooledDataRequest.configurePool('test-hook')).toEqual({limit: 1, agingInterval: 0, queued: 0, active: 0})
+  })
+
+})
+
 describe('SharedDataLoaders class', () => {
   let shared, refs = []
 
@@ -210,6 +317,56 @@ describe('SharedDataLoaders class', () => {
     await promise
   })
 
+  it('should complete catch-ups before loading', async () => {
+    let sharedLoaders = new SharedDataLoaders({timeSlice: {rows: 1}}),
+        processorContext = new DataProcessorContext(DeserializingDataProcessor),
+        loader = sharedLoaders.referenceDataLoader(MockLoader, mockLoaderConfig, processorContext.processor)
+    loader.mockResponse({'1': {what: 'one'}, '2': {what: 'two'}, '3': {what: 'three'} }, {}, 'test')
+    await processorContext.nextResult().promise
+    let reading = 0, overlapped = false, loads = [], started,
+        catchup = new Promise(resolve => { started = resolve }),
+        loaded = new Promise((resolve) => {
+          sharedLoaders.referenceDataLoader(MockLoader, mockLoaderConfig, async (stream, header) => {
+            overlapped = overlapped || (reading > 0)
+            reading += 1
+            let reader = stream.getReader(), rows = 0
+            while (!(await reader.read()).done) {
+              rows += 1
+              started()
+            }
+            reading -= 1
+            loads.push([!!header.update, rows])
+            if (loads.length === 2) resolve()
+          })
+        })
+    // load while the catch-up is in progress
+    await catchup
+    loader.mockResponse({'4': {what: 'four'} }, {update: true}, 'test')
+    await loaded
+    expect(overlapped).toEqual(false)
+    expect(loads).toEqual([ [false, 3], [true, 1] ])
+  })
+
+  it('should abort the catch-ups of dereferenced processors', async () => {
+    let sharedLoaders = new SharedDataLoaders({timeSlice: {rows: 1}}),
+        processorContext = new DataProcessorContext(DeserializingDataProcessor),
+        loader = sharedLoaders.referenceDataLoader(MockLoader, mockLoaderConfig, processorContext.processor)
+    loader.mockResponse({'1': {what: 'one'}, '2': {what: 'two'}, '3': {what: 'three'} }, {}, 'test')
+    await processorContext.nextResult().promise
+    let processor, started,
+        catchup = new Promise(resolve => { started = resolve }),
+        aborted = new Promise((resolve) => {
+          processor = (stream, header, {signal}) => {
+            signal.addEventListener('abort', () => resolve(signal.reason))
+            stream.getReader().read().then(started)
+          }
+        })
+    sharedLoaders.referenceDataLoader(MockLoader, mockLoaderConfig, processor)
+    await catchup
+    expect(sharedLoaders.dereferenceDataLoader(loader, processor)).toEqual(true)
+    expect((await aborted).aborted).toEqual(true)
+  })
+
   it('should process data loader dereferences', () => {
     for (let ref of refs) {
       let deref = shared.dereferenceDataLoader(ref.loader, ref.processorContext.processor, document)
@@ -221,6 +378,994 @@ describe('SharedDataLoaders class', () => {
 
 })
 
+describe('DeserializingDataProcessor class', () => {
+
+  it('should process entities in time slices', async () => {
+    let rows = [ ['test.1', {what: 'one'} ], ['test.2', {what: 'two'} ], ['test.3', {what: 'three'} ] ],
+        container = {},
+        processor = new DeserializingDataProcessor(container, 'test', {timeSlice: {rows: 1}, incremental: true}),
+        buckets = [],
+        stream = new ReadableStream({
+          pull(controller) {
+            buckets.push(Object.keys(container.test || {}).length)
+            if (rows.length > 0) controller.enqueue(rows.shift()); else controller.close()
+          }
+        })
+    await processor.streamedDataProcessor(stream, {count: 3})
+    expect(Object.keys(container.test)).toEqual(['1', '2', '3'])
+    expect(buckets.some(count => (count > 0) && (count < 3))).toBeTruthy()
+  })
+
+})
+
+describe('PersistentDataCache class', () => {
+
+  it('should evict the least recently saved records', async () => {
+    let cache = new PersistentDataCache({dbName: 'test-data-evict', maxRecords: 2}),
+        now = Date.now()
+    for (let i = 1; i <= 3; ++i)
+      await cache.put(`test-${i}`, {objects: [], savedAt: now + i})
+    expect(await cache.get('test-1')).toBeUndefined()
+    expect((await cache.get('test-2')).savedAt).toEqual(now + 2)
+    expect((await cache.get('test-3')).savedAt).toEqual(now + 3)
+    await cache.clear()
+  })
+
+  it('should expire old records', async () => {
+    let cache = new PersistentDataCache({dbName: 'test-data-evict', maxAge: 1000})
+    await cache.put('test-old', {objects: [], savedAt: Date.now() - 2000})
+    await cache.put('test-new', {objects: [], savedAt: Date.now()})
+    expect(await cache.get('test-old')).toBeUndefined()
+    expect(await cache.get('test-new')).toBeDefined()
+    expect(await new PersistentDataCache({dbName: 'test-data-evict', maxAge: 0}).get('test-old')).toBeUndefined()
+    await cache.clear()
+  })
+
+})
+
+describe('framedDecoder function', () => {
+
+  it('should decode frames split across chunks', async () => {
+    let encoder = new TextEncoder(),
+        rows = [ {count: 3}, ['test.1', {what: 'one'} ], ['test.2', {what: 'two'.repeat(100)} ], ['test.3', {} ] ],
+        frames = rows.map((row) => {
+          let json = encoder.encode(JSON.stringify(row)),
+              frame = new Uint8Array(4 + json.length)
+          new DataView(frame.buffer).setUint32(0, json.length)
+          frame.set(json, 4)
+          return frame
+        }),
+        bytes = new Uint8Array(frames.reduce((length, frame) => length + frame.length, 0)),
+        offset = 0
+    for (let frame of frames) {
+      bytes.set(frame, offset)
+      offset += frame.length
+    }
+    // chunks of assorted sizes, so that frames (and their length
+    //   prefixes) straddle chunks
+    let chunks = []
+    for (let start = 0, size = 1; start < bytes.length; start += size, size = (size * 7) % 61 + 1)
+      chunks.push(bytes.slice(start, start + size))
+    let body = new ReadableStream({
+          pull(controller) {
+            if (chunks.length > 0) controller.enqueue(chunks.shift()); else controller.close()
+          }
+        }),
+        decode = framedDecoder(frame => JSON.parse(new TextDecoder().decode(frame))),
+        reader = decode(new Response(body)).getReader(),
+        decoded = []
+    for (let rslt = await reader.read(); !rslt.done; rslt = await reader.read())
+      decoded.push(rslt.value)
+    expect(decoded).toEqual(rows)
+  })
+
+  it('should reject incomplete frames', async () => {
+    let body = new Uint8Array([0, 0, 0, 10, 1, 2]),
+        reader = framedDecoder(frame => frame)(new Response(body)).getReader()
+    await expect(reader.read()).rejects.toThrow(/incomplete frame/)
+  })
+
+})
+
+describe('DataWorkerStore class', () => {
+
+  // compares a response, returning the header and rows passed on
+  function diff(store, header, rows, continuing) {
+    header = store.startResponse(header, continuing)
+    let passed = rows.map(row => store.compareRow(row)).filter(row => row)
+    return [header, passed.concat(store.finishResponse())]
+  }
+
+  it('should pass responses through until synced', () => {
+    let store = new DataWorkerStore(),
+        rows = [ ['test.1', {what: 'ever'} ], ['test.2', null] ]
+    expect(diff(store, {count: 2, update: true}, rows)).toEqual([ {count: 2, update: true}, rows])
+    expect(store.synced).toEqual(false)
+    expect(diff(store, {count: 2}, rows)).toEqual([ {count: 2}, rows])
+    expect(store.synced).toEqual(true)
+  })
+
+  it('should diff complete responses once synced', () => {
+    let store = new DataWorkerStore()
+    diff(store, {count: 2}, [ ['test.1', {what: 'ever'} ], ['test.2', {what: 'two'} ] ])
+    let [header, rows] = diff(store, {count: 2}, [ ['test.1', {what: 'ever'} ], ['test.3', {what: 'three'} ] ])
+    expect(header).toEqual({count: 2, update: true, diffed: true, diffedFull: true})
+    expect(rows).toEqual([ ['test.3', {what: 'three'} ], ['test.2', null] ])
+  })
+
+  it('should diff updates once synced', () => {
+    let store = new DataWorkerStore()
+    diff(store, {count: 2}, [ ['test.1', {what: 'ever'} ], ['test.2', {what: 'two'} ] ])
+    let [header, rows] = diff(store, {count: 4, update: true},
+      [ ['test.1', {what: 'else'} ], ['test.2', {what: 'two'} ], ['test.2', null], ['test.9', null] ])
+    expect(header).toEqual({count: 4, update: true, diffed: true})
+    expect(rows).toEqual([ ['test.1', {what: 'else'} ], ['test.2', null] ])
+    expect(diff(store, {count: 1, update: true}, [ ['test.1', {what: 'else'} ] ])[1]).toEqual([])
+  })
+
+  it('should pass paginated responses through', () => {
+    let store = new DataWorkerStore(),
+        rows = [ ['test.1', {what: 'ever'} ] ]
+    diff(store, {count: 1}, rows)
+    expect(diff(store, {count: 1, next: 'page-2'}, rows)).toEqual([ {count: 1, next: 'page-2'}, rows])
+    expect(store.synced).toEqual(false)
+    expect(diff(store, {count: 1, update: true}, rows)).toEqual([ {count: 1, update: true}, rows])
+  })
+
+  it('should pass the last page of paginated responses through', () => {
+    let store = new DataWorkerStore()
+    diff(store, {count: 1}, [ ['test.1', {what: 'ever'} ] ])
+    diff(store, {count: 1, next: 'page-2'}, [ ['test.1', {what: 'ever'} ] ])
+    expect(diff(store, {count: 1}, [ ['test.2', {what: 'else'} ] ], true))
+      .toEqual([ {count: 1}, [ ['test.2', {what: 'else'} ] ] ])
+    expect(store.synced).toEqual(false)
+    // removal of a first page object isn't lost
+    expect(diff(store, {count: 1, update: true}, [ ['test.1', null] ]))
+      .toEqual([ {count: 1, update: true}, [ ['test.1', null] ] ])
+  })
+
+})
+
+describe('DataWorker class', () => {
+  let dataWorker, posted
+
+  beforeEach(() => {
+    posted = []
+    dataWorker = new DataWorker()
+    // a stand-in for the worker, whose messages are delivered directly
+    dataWorker._worker = {postMessage: (message) => posted.push(message), terminate: () => {}}
+  })
+
+  function receive(message) {
+    dataWorker._messageListener({data: message})
+  }
+
+  it('should stream rows posted by the worker', async () => {
+    let bytes = 0, rows = 0, completed = false,
+        promise = dataWorker.fetch('/test/data', {method: 'POST'}, {
+          keyPrefix: 'test',
+          onBytes: (count) => { bytes += count },
+          onRows: (count) => { rows += count },
+          onComplete: () => { completed = true } })
+    let {id, ...message} = posted[0]
+    expect(message).toEqual(
+      {type: 'fetch', url: '/test/data', init: {method: 'POST'}, keyPrefix: 'test', store: undefined, continuing: false})
+    receive({type: 'response', id, status: 200, statusText: 'OK', headers: [] })
+    let response = await promise,
+        reader = response.rows.getReader()
+    receive({type: 'rows', id, rows: [ {count: 1}, ['test.1', {what: 'ever'} ] ]})
+    receive({type: 'progress', id, bytes: 100, rows: 1})
+    expect(await reader.read()).toEqual({done: false, value: {count: 1}})
+    expect(await reader.read()).toEqual({done: false, value: ['test.1', {what: 'ever'} ]})
+    expect([bytes, rows, completed]).toEqual([100, 1, false])
+    receive({type: 'done', id})
+    expect((await reader.read()).done).toEqual(true)
+    expect(completed).toEqual(true)
+    expect(dataWorker._requests.size).toEqual(0)
+  })
+
+  it('should resolve with unsuccessful responses', async () => {
+    let promise = dataWorker.fetch('/test/data', {})
+    receive({type: 'response', id: posted[0].id, status: 403, statusText: 'Forbidden', headers: [], body: 'no access'})
+    let response = await promise
+    expect(response.status).toEqual(403)
+    expect(response.rows).toBeUndefined()
+    expect(await response.text()).toEqual('no access')
+    expect(dataWorker._requests.size).toEqual(0)
+  })
+
+  it('should fail requests that fail in the worker', async () => {
+    let promise = dataWorker.fetch('/test/data', {})
+    receive({type: 'error', id: posted[0].id, name: 'TypeError', message: 'Failed to fetch'})
+    await expect(promise).rejects.toThrow(/Failed to fetch/)
+    promise = dataWorker.fetch('/test/data', {})
+    let id = posted[1].id
+    receive({type: 'response', id, status: 200, statusText: 'OK', headers: [] })
+    let reader = (await promise).rows.getReader()
+    receive({type: 'error', id, name: 'Error', message: 'Data integrity check failed: row count mismatch', integrity: true})
+    let error = await reader.read().catch(error => error)
+    expect(error.integrity).toEqual(true)
+    expect(error.message).toMatch(/row count mismatch/)
+    expect(dataWorker._requests.size).toEqual(0)
+  })
+
+  it('should fail pending requests when the worker fails', async () => {
+    let pending = dataWorker.fetch('/test/data', {}),
+        streaming = dataWorker.fetch('/test/data', {})
+    receive({type: 'response', id: posted[1].id, status: 200, statusText: 'OK', headers: [] })
+    let reader = (await streaming).rows.getReader()
+    dataWorker._errorListener(new ErrorEvent('error', {message: 'script not found'}))
+    let error = await pending.catch(error => error)
+    expect(error.message).toMatch(/Data worker failed/)
+    expect(error.retryAfter).toEqual(0)
+    await expect(reader.read()).rejects.toThrow(/Data worker failed/)
+    expect(dataWorker.available).toEqual(false)
+    expect(dataWorker._requests.size).toEqual(0)
+  })
+
+  it('should abort requests', async () => {
+    let controller = new AbortController(),
+        promise = dataWorker.fetch('/test/data', {signal: controller.signal})
+    let id = posted[0].id
+    expect(posted[0].init).toEqual({})
+    controller.abort()
+    await expect(promise).rejects.toThrow(/aborted/)
+    expect(posted[1]).toEqual({type: 'abort', id})
+    // messages for the aborted request are ignored
+    receive({type: 'response', id, status: 200, statusText: 'OK', headers: [] })
+    expect(dataWorker._requests.size).toEqual(0)
+  })
+
+})
+
+describe('SharedEventSource class', () => {
+
+  it('should coalesce events received while the page is hidden', () => {
+    let url = new URL('/test/coalesce', document.location),
+        source = new SharedEventSource(url),
+        received = [],
+        listener = (e) => { received.push(JSON.parse(e.data)) },
+        emit = (superseded) => {
+          let event = new MessageEvent('test/coalesce', {data: JSON.stringify({superseded})})
+          eventSources[url].emit(event.type, event)
+        }
+    source.addListener('test/coalesce', listener)
+    Object.defineProperty(document, 'hidden', {configurable: true, get: () => true})
+    emit({a: 2, b: 1})
+    emit({a: 1, c: 3})
+    expect(received.length).toEqual(0)
+    delete document.hidden
+    document.dispatchEvent(new Event('visibilitychange'))
+    expect(received).toEqual([ {superseded: {a: 2, b: 1, c: 3}} ])
+    source.removeListener('test/coalesce', listener)
+  })
+
+  it('should close when the last listener is removed', () => {
+    let url = new URL('/test/refcount', document.location),
+        source = new SharedEventSource(url),
+        listeners = [() => {}, () => {}]
+    for (let listener of listeners)
+      source.addListener('test/refcount', listener)
+    let other = new SharedEventSource(url, {withCredentials: false})
+    expect(new SharedEventSource(url)).toBe(source)
+    expect(other).not.toBe(source)
+    other.close()
+    source.removeListener('test/refcount', listeners[0])
+    expect(source.closed).toBeFalsy()
+    let eventSource = source.eventSource
+    source.removeListener('test/refcount', listeners[1])
+    expect(source.closed).toBeTruthy()
+    expect(eventSource.readyState).toEqual(2)
+    source.addListener('test/refcount', listeners[0])
+    expect(source.closed).toBeFalsy()
+    expect(new SharedEventSource(url)).toBe(source)
+    source.close()
+  })
+
+  it('should reconnect when the browser gives up', async () => {
+    let url = new URL('/test/reconnect', document.location),
+        source = new SharedEventSource(url, {reconnectPolicy: {delay: 10, jitter: 0, maxAttempts: 1}}),
+        states = [],
+        listener = () => {},
+        fail = () => {
+          eventSources[url].readyState = 2
+          eventSources[url].emit('error', new Event('error'))
+        }
+    source.addListener('test/reconnect', listener)
+    source.addStateListener((e) => { states.push(e.type) })
+    expect(source.connectionState).toEqual('connecting')
+    eventSources[url].emit('open', new Event('open'))
+    let eventSource = source.eventSource
+    fail()
+    expect(source.connectionState).toEqual('disconnected')
+    await new Promise(resolve => setTimeout(resolve, 50))
+    expect(source.eventSource).not.toBe(eventSource)
+    fail()
+    expect(states).toEqual(['open', 'disconnected', 'connecting', 'failed'])
+    source.removeListener('test/reconnect', listener)
+  })
+
+  it('should resume from the last event ID', async () => {
+    let url = new URL('/test/resume', document.location),
+        source = new SharedEventSource(url, {reconnectPolicy: {delay: 10, jitter: 0}}),
+        received = [],
+        listener = (e) => { received.push(JSON.parse(e.data)) }
+    source.addListener('test/resume', listener)
+    eventSources[url].emit('open', new Event('open'))
+    eventSources[url].emit('test/resume',
+      new MessageEvent('test/resume', {data: JSON.stringify({superseded: {a: 1}}), lastEventId: 'e-5'}))
+    eventSources[url].readyState = 2
+    eventSources[url].emit('error', new Event('error'))
+    await new Promise(resolve => setTimeout(resolve, 50))
+    let resumeURL = new URL(url)
+    resumeURL.searchParams.set('lastEventId', 'e-5')
+    expect(String(source.eventSource.url)).toEqual(String(resumeURL))
+    source.eventSource.emit('open', new Event('open'))
+    expect(received).toEqual([ {superseded: {a: 1}} ])
+    source.eventSource.emit('history-unavailable', new MessageEvent('history-unavailable'))
+    expect(received).toEqual([ {superseded: {a: 1}}, {superseded: {reopen: 1}} ])
+    source.removeListener('test/resume', listener)
+  })
+
+  it('should reconnect when idle', async () => {
+    let url = new URL('/test/idle', document.location),
+        source = new SharedEventSource(url, {idleTimeout: 20}),
+        listener = () => {}
+    source.addListener('test/idle', listener)
+    eventSources[url].emit('open', new Event('open'))
+    let eventSource = source.eventSource
+    await new Promise(resolve => setTimeout(resolve, 10))
+    eventSources[url].emit('heartbeat', new MessageEvent('heartbeat'))
+    await new Promise(resolve => setTimeout(resolve, 15))
+    expect(source.eventSource).toBe(eventSource)
+    await new Promise(resolve => setTimeout(resolve, 30))
+    expect(source.eventSource).not.toBe(eventSource)
+    expect(source.connectionState).toEqual('connecting')
+    source.removeListener('test/idle', listener)
+  })
+
+})
+
+describe('SharedWebSocket class', () => {
+
+  class WebSocketMock extends EventTarget {
+    constructor(url) {
+      super()
+      this.url = String(url)
+      this.readyState = 0
+      this.sent = []
+      WebSocketMock.sockets.push(this)
+    }
+    send(message) { this.sent.push(JSON.parse(message)) }
+    close() { this.readyState = 3 }
+    open() {
+      this.readyState = 1
+      this.dispatchEvent(new Event('open'))
+    }
+    receive(message) { this.dispatchEvent(new MessageEvent('message', {data: JSON.stringify(message)})) }
+  }
+  WebSocketMock.OPEN = 1
+  WebSocketMock.sockets = []
+  let RealWebSocket
+
+  beforeAll(() => {
+    RealWebSocket = window.WebSocket
+    window.WebSocket = WebSocketMock
+  })
+
+  afterAll(() => {
+    window.WebSocket = RealWebSocket
+  })
+
+  it('should subscribe to status events and reconnect', async () => {
+    let url = new URL('/test/ws', document.location),
+        Transport = statusTransports.get('websocket'),
+        source = new Transport(url, {reconnectPolicy: {delay: 10, jitter: 0}}),
+        received = [],
+        listener = (e) => { received.push(JSON.parse(e.data)) }
+    source.addListener('test/a', listener)
+    let socket = WebSocketMock.sockets.pop()
+    expect(socket.url).toEqual(url.href.replace(/^http/, 'ws'))
+    socket.open()
+    expect(socket.sent).toEqual([ {type: 'subscribe', event: 'test/a'} ])
+    socket.receive({type: 'status', event: 'test/a', data: {superseded: {a: 1}}})
+    socket.receive({type: 'status', event: 'test/b', data: {superseded: {b: 1}}})
+    expect(received).toEqual([ {superseded: {a: 1}} ])
+    socket.dispatchEvent(new CloseEvent('close'))
+    expect(source.connectionState).toEqual('disconnected')
+    await new Promise(resolve => setTimeout(resolve, 50))
+    socket = WebSocketMock.sockets.pop()
+    socket.open()
+    expect(socket.sent).toEqual([ {type: 'subscribe', event: 'test/a'} ])
+    expect(received).toEqual([ {superseded: {a: 1}}, {superseded: {reopen: 1}} ])
+    source.removeListener('test/a', listener)
+    expect(socket.sent).toEqual([ {type: 'subscribe', event: 'test/a'}, {type: 'unsubscribe', event: 'test/a'} ])
+    expect(source.closed).toBeTruthy()
+  })
+
+})
+
+describe('StreamedDataLoader class', () => {
+  let authorized = false,
+      unavailable = false,
+      regressedRequests = 0,
+      regressedCancelled
+
+  beforeAll(() => {
+    let dataURL = new URL('/test/data', document.location)
+    fetchMock.reset()
+    fetchMock
+      .post(dataURL, fetchDataMock)
+      .post(new URL('/test/auth', document.location),
+        (url, options, request) => authorized ? fetchDataMock(url, options, request) : 401)
+      .post(new URL('/test/forbidden', document.location), {status: 403, body: 'no access'})
+      .post(new URL('/test/unavailable', document.location),
+        (url, options, request) => unavailable ? 503 : fetchDataMock(url, options, request))
+      .post(new URL('/test/throttled', document.location), {status: 429, headers: {'Retry-After': '120'}})
+      .post(new URL('/test/busy', document.location), {status: 503, headers: {'Retry-After': '30'}})
+      .post(new URL('/test/retry', document.location), {
+        body: JSON.stringify({retryAfter: 5}) + '\n',
+        headers: {'Content-Type': 'application/x-ndjson'} })
+      .post(new URL('/test/json', document.location), () => {
+        let objects = Object.entries(responseObjects)
+          .map(([key, obj]) => ['test.' + key, {...obj, createdAt: responseCreatedAt, updatedAt: responseCreatedAt} ])
+        return {body: {header: {count: objects.length}, objects}}
+      })
+      .post(new URL('/test/paged', document.location), (url, options) => {
+        let cursor = JSON.parse(options.body).cursor,
+            objects = cursor ? {'2': {what: 'else'}} : {'1': {what: 'ever'}},
+            header = {timestamps: {test: fetchDataMockTimestamp}, cutoff: Date.now()}
+        if (!cursor) header.next = 'page-2'
+        return new Response(responseBody(objects, header, 'test'),
+          {status: 200, statusText: 'OK', headers: {'Content-Type': 'application/x-ndjson'}})
+      })
+      .post(new URL('/test/truncated', document.location), () => {
+        let header = {count: 2, timestamps: {test: fetchDataMockTimestamp}, cutoff: Date.now()}
+        return new Response(responseBody(responseObjects, header, 'test'),
+          {status: 200, statusText: 'OK', headers: {'Content-Type': 'application/x-ndjson'}})
+      })
+      .post(new URL('/test/stalled', document.location), () => {
+        let encoder = new TextEncoder(),
+            header = {count: 1, timestamps: {test: fetchDataMockTimestamp}, cutoff: Date.now()},
+            body = new ReadableStream({
+              start(controller) {
+                // the header arrives, then nothing more
+                controller.enqueue(encoder.encode(JSON.stringify(header) + '\n'))
+              }
+            })
+        return new Response(body, {status: 200, statusText: 'OK', headers: {'Content-Type': 'application/x-ndjson'}})
+      })
+      .post(new URL('/test/regressed', document.location), () => {
+        let encoder = new TextEncoder(),
+            update = (regressedRequests += 1) > 1,
+            header = {count: 1, timestamps: {test: 1}, cutoff: update ? 1000 : 2000, update},
+            body = new ReadableStream({
+              start(controller) {
+                controller.enqueue(encoder.encode(JSON.stringify(header) + '\n'))
+                controller.enqueue(encoder.encode(JSON.stringify(['test.1', {what: 'ever'} ]) + '\n'))
+                // the update response is cut short by cancellation
+                if (!update) controller.close()
+              },
+              cancel() {
+                regressedCancelled()
+              }
+            })
+        return new Response(body, {status: 200, statusText: 'OK', headers: {'Content-Type': 'application/x-ndjson'}})
+      })
+      .post(new URL('/test/mislabelled', document.location), () => {
+        let header = {timestamps: {test: fetchDataMockTimestamp}, cutoff: Date.now()}
+        return new Response(responseBody(responseObjects, header, 'test'),
+          {status: 200, statusText: 'OK', headers: {'Content-Type': 'application/json'}})
+      })
+      .post(new URL('/test/csv', document.location), {
+        body: 'key,what\ntest.1,ever\n',
+        headers: {'Content-Type': 'text/csv'} })
+      .catch(500)
+  })
+
+  it('should stop retrying after maximum attempts', async () => {
+    let activities = [],
+        listener = (e) => { activities.push(e.detail) },
+        finished = new Promise((resolve) => {
+          document.addEventListener('test-retry-activity', (e) => { if (e.detail.final) resolve(e.detail) })
+        })
+    document.addEventListener('test-retry-activity', listener)
+    let loader = new StreamedDataLoader({
+      name: 'test-retry',
+      url: '/test/missing',
+      processor: () => {},
+      retryPolicy: {delay: 10, maxAttempts: 2},
+      activityTarget: document,
+      activityEvent: 'test-retry-activity'
+    })
+    let detail = await finished
+    expect(detail.severity).toEqual('error')
+    expect(activities.filter(activity => activity.activity === 'loading failed').length).toEqual(2)
+    expect(loader.state & 4).toBeTruthy()
+    document.removeEventListener('test-retry-activity', listener)
+    loader.destroy()
+  })
+
+  it('should not retry client errors', async () => {
+    let finished = new Promise((resolve) => {
+          document.addEventListener('test-forbidden-activity', (e) => { if (e.detail.final) resolve(e.detail) })
+        }),
+        loader = new StreamedDataLoader({
+          name: 'test-forbidden',
+          url: '/test/forbidden',
+          processor: () => {},
+          activityTarget: document,
+          activityEvent: 'test-forbidden-activity'
+        })
+    let detail = await finished
+    expect(detail.error).toMatch(/403/)
+    expect(loader._retryAttempts).toEqual(1)
+    loader.destroy()
+  })
+
+  it('should defer requests while offline', async () => {
+    let dataURL = new URL('/test/data', document.location),
+        calls = fetchMock.calls(dataURL).length
+    Object.defineProperty(navigator, 'onLine', {configurable: true, get: () => false})
+    let processorContext = new DataProcessorContext(DeserializingDataProcessor),
+        loader = new StreamedDataLoader({name: 'test-offline', url: '/test/data', processor: processorContext.processor})
+    await new Promise(resolve => setTimeout(resolve, 50))
+    expect(fetchMock.calls(dataURL).length).toEqual(calls)
+    delete navigator.onLine
+    window.dispatchEvent(new Event('online'))
+    await loader.whenLoaded()
+    expect(fetchMock.calls(dataURL).length).toEqual(calls + 1)
+    loader.destroy()
+  })
+
+  it('should defer requests while hidden', async () => {
+    let dataURL = new URL('/test/data', document.location),
+        calls = fetchMock.calls(dataURL).length
+    Object.defineProperty(document, 'hidden', {configurable: true, get: () => true})
+    let processorContext = new DataProcessorContext(DeserializingDataProcessor),
+        loader = new StreamedDataLoader({
+          name: 'test-hidden',
+          url: '/test/data',
+          processor: processorContext.processor,
+          deferWhileHidden: true })
+    await new Promise(resolve => setTimeout(resolve, 50))
+    expect(fetchMock.calls(dataURL).length).toEqual(calls)
+    delete document.hidden
+    document.dispatchEvent(new Event('visibilitychange'))
+    await loader.whenLoaded()
+    expect(fetchMock.calls(dataURL).length).toEqual(calls + 1)
+    loader.destroy()
+  })
+
+  it('should retry immediately when the network returns', async () => {
+    let listener,
+        failed = new Promise((resolve) => {
+          listener = (e) => { if (e.detail.name === 'test-unavailable') resolve() }
+          document.addEventListener('data-load-error', listener)
+        })
+    unavailable = true
+    let processorContext = new DataProcessorContext(DeserializingDataProcessor),
+        loader = new StreamedDataLoader({
+          name: 'test-unavailable',
+          url: '/test/unavailable',
+          processor: processorContext.processor,
+          retryPolicy: {delay: 60000},
+          activityTarget: document })
+    await failed
+    document.removeEventListener('data-load-error', listener)
+    unavailable = false
+    // retried without waiting out the retry delay
+    window.dispatchEvent(new Event('online'))
+    let header = await loader.whenLoaded()
+    expect(header.count).toEqual(1)
+    loader.destroy()
+  })
+
+  it('should wait as long as Retry-After headers specify', async () => {
+    for (let [url, delay] of [ ['/test/throttled', 120000], ['/test/busy', 30000] ]) {
+      let listener,
+          failed = new Promise((resolve) => {
+            listener = (e) => { if (e.detail.name === 'test-retry-after') resolve(e.detail) }
+            document.addEventListener('data-load-error', listener)
+          }),
+          delays = [],
+          loader = new StreamedDataLoader({name: 'test-retry-after', url, processor: () => {}, activityTarget: document}),
+          delayedDataRequest = loader._delayedDataRequest
+      loader._delayedDataRequest = (delay) => {
+        delays.push(delay)
+        delayedDataRequest.call(loader, delay)
+      }
+      let detail = await failed
+      document.removeEventListener('data-load-error', listener)
+      expect(detail.error.retryAfter).toEqual(delay)
+      expect(delays).toEqual([delay])
+      loader.destroy()
+    }
+  })
+
+  it('should wait as long as retry responses specify', async () => {
+    let delays = [],
+        loader = new StreamedDataLoader({name: 'test-retry-header', url: '/test/retry', processor: () => {}}),
+        delayedDataRequest = loader._delayedDataRequest
+    loader._delayedDataRequest = (delay) => {
+      delays.push(delay)
+      delayedDataRequest.call(loader, delay)
+    }
+    await new Promise(resolve => setTimeout(resolve, 50))
+    expect(delays).toEqual([5000])
+    expect(fetchMock.calls(new URL('/test/retry', document.location)).length).toEqual(1)
+    loader.destroy()
+  })
+
+  it('should abort the processor when destroyed', async () => {
+    let loader,
+        processing = new Promise((resolve) => {
+          loader = new StreamedDataLoader({
+            name: 'test-abort',
+            url: '/test/data',
+            processor: (stream, header, {signal}) => {
+              let reader = stream.getReader()
+              loader.destroy()
+              resolve({signal, failed: reader.read().then(() => false, () => true)})
+            }
+          })
+        })
+    let {signal, failed} = await processing
+    expect(signal.aborted).toBeTruthy()
+    expect(signal.reason.aborted).toBeTruthy()
+    expect(await failed).toBeTruthy()
+  })
+
+  it('should resolve with the header of a reload', async () => {
+    let processorContext = new DataProcessorContext(DeserializingDataProcessor),
+        loader = new StreamedDataLoader({name: 'test-reload', url: '/test/data', processor: processorContext.processor})
+    await loader.whenLoaded()
+    let reloadedAt = fetchDataMockTimestamp = Date.now() + 1000
+    loader.reload()
+    let header = await loader.whenLoaded()
+    expect(header.timestamps).toEqual({test: reloadedAt})
+    loader.destroy()
+  })
+
+  it('should restore persisted data before requesting changes', async () => {
+    let cache = new PersistentDataCache({dbName: 'test-data-loaders'}),
+        cachedObjects = {'2': {what: 'cached'}},
+        timestamps = {test: fetchDataMockTimestamp - 1000}
+    await cache.put('test-persist', {
+      objects: Object.entries(cachedObjects).map(([key, obj]) => ['test.' + key, obj]),
+      header: {count: 1, timestamps, cutoff: 1000},
+      timestamps,
+      cutoff: 1000,
+      savedAt: Date.now() })
+    fetchDataMockKeyPrefixed = true
+    let processorContext = new DataProcessorContext(DeserializingDataProcessor),
+        loader = new StreamedDataLoader({
+          name: 'test-persist',
+          url: '/test/data',
+          processor: processorContext.processor,
+          persist: true,
+          cacheKey: 'test-persist',
+          persistentCache: cache
+        })
+    let [objects, header] = await processorContext.nextResult().promise
+    expect(header.cached).toEqual(true)
+    expect(objects).toEqual(cachedObjects)
+    let [loadedObjects, loadedHeader] = await processorContext.nextResult().promise
+    expect(loadedHeader.cached).toBeUndefined()
+    expect(loadedObjects).toEqual(responseObjects)
+    let params = JSON.parse(fetchMock.lastCall()[1].body)
+    expect(params.timestamps).toEqual(timestamps)
+    expect(params.cutoff).toEqual(1000)
+    loader.destroy()
+    await cache.clear()
+  })
+
+  it('should coalesce writes of persisted data', async () => {
+    let puts = [], loads = 0, listener,
+        polled = new Promise((resolve) => {
+          listener = (e) => { if ((e.detail.name === 'test-persist-writes') && (++loads === 3)) resolve() }
+          document.addEventListener('data-loaded', listener)
+        }),
+        loader = new PollingStreamedDataLoader({
+          name: 'test-persist-writes',
+          url: '/test/data',
+          processor: () => {},
+          pollInterval: 10,
+          pollPolicy: {factor: 1},
+          persist: true,
+          cacheKey: 'test-persist-writes',
+          persistInterval: 1000,
+          persistentCache: {
+            get: () => Promise.resolve(undefined),
+            put: (key, record) => {
+              puts.push([key, record])
+              return Promise.resolve()
+            }
+          },
+          activityTarget: document
+        })
+    await polled
+    expect(puts.length).toEqual(0)
+    loader.destroy()
+    document.removeEventListener('data-loaded', listener)
+    expect(puts.length).toEqual(1)
+    expect(puts[0][0]).toEqual('test-persist-writes')
+    expect(puts[0][1].objects.length).toEqual(1)
+  })
+
+  it('should decode JSON and CSV responses', async () => {
+    for (let [url, format] of [ ['/test/json', 'json'], ['/test/csv'] ]) {
+      let processorContext = new DataProcessorContext(DeserializingDataProcessor),
+          loader = new StreamedDataLoader({name: 'test-decoders', url, format, processor: processorContext.processor})
+      let [objects, header] = await processorContext.nextResult().promise
+      expect(header.count).toEqual(1)
+      expect(objects['1'].what).toEqual('ever')
+      loader.destroy()
+    }
+  })
+
+  it('should decode NDJSON responses labelled as JSON', async () => {
+    let processorContext = new DataProcessorContext(DeserializingDataProcessor),
+        loader = new StreamedDataLoader({name: 'test-mislabelled', url: '/test/mislabelled', processor: processorContext.processor})
+    let [objects, header] = await processorContext.nextResult().promise
+    expect(header.count).toEqual(1)
+    expect(objects).toEqual(responseObjects)
+    loader.destroy()
+  })
+
+  it('should load paginated data as a single load', async () => {
+    let processorContext = new DataProcessorContext(DeserializingDataProcessor),
+        loader = new StreamedDataLoader({name: 'test-paged', url: '/test/paged', processor: processorContext.processor})
+    let [objects, header] = await processorContext.nextResult().promise
+    expect(header.update).toBeFalsy()
+    expect(Object.keys(objects).sort()).toEqual(['1', '2'])
+    expect(JSON.parse(fetchMock.lastCall()[1].body).cursor).toEqual('page-2')
+    loader.destroy()
+  })
+
+  it('should load paginated data progressively', async () => {
+    let processorContext = new DataProcessorContext(DeserializingDataProcessor),
+        loader = new StreamedDataLoader({
+          name: 'test-paged',
+          url: '/test/paged',
+          pagination: 'progressive',
+          processor: processorContext.processor })
+    let [firstObjects, firstHeader] = await processorContext.nextResult().promise
+    expect(firstHeader.update).toBeFalsy()
+    expect(Object.keys(firstObjects)).toEqual(['1'])
+    let [objects, header] = await processorContext.nextResult().promise
+    expect(header.update).toEqual(true)
+    expect(Object.keys(objects).sort()).toEqual(['1', '2'])
+    loader.destroy()
+  })
+
+  it('should persist progressively paginated data once every page is loaded', async () => {
+    let puts = [], listener,
+        loaded = new Promise((resolve) => {
+          listener = (e) => { if (e.detail.name === 'test-paged-persist') resolve() }
+          document.addEventListener('data-loaded', listener)
+        }),
+        processorContext = new DataProcessorContext(DeserializingDataProcessor),
+        loader = new StreamedDataLoader({
+          name: 'test-paged-persist',
+          url: '/test/paged',
+          pagination: 'progressive',
+          processor: processorContext.processor,
+          persist: true,
+          cacheKey: 'test-paged-persist',
+          persistInterval: 0,
+          persistentCache: {
+            get: () => Promise.resolve(undefined),
+            put: (key, record) => {
+              puts.push(record)
+              return Promise.resolve()
+            }
+          },
+          activityTarget: document
+        })
+    await processorContext.nextResult().promise
+    expect(loader._timestamps).toEqual({})
+    await loaded
+    expect(loader._timestamps).toEqual({test: fetchDataMockTimestamp})
+    loader.destroy()
+    document.removeEventListener('data-loaded', listener)
+    expect(puts.length).toEqual(1)
+    expect(puts[0].header.update).toBeFalsy()
+    expect(puts[0].objects.map(([key]) => key).sort()).toEqual(['test.1', 'test.2'])
+    expect(puts[0].timestamps).toEqual({test: fetchDataMockTimestamp})
+  })
+
+  it('should report loading progress', async () => {
+    let activities = [],
+        listener = (e) => { activities.push(e.detail) }
+    document.addEventListener('test-progress-activity', listener)
+    let processorContext = new DataProcessorContext(DeserializingDataProcessor),
+        loader = new StreamedDataLoader({
+          name: 'test-progress',
+          url: '/test/data',
+          processor: processorContext.processor,
+          progressInterval: 0,
+          activityTarget: document,
+          activityEvent: 'test-progress-activity' })
+    await processorContext.nextResult().promise
+    let progress = activities.find(activity => activity.received === 1)
+    expect(progress).toEqual(expect.objectContaining({total: 1, percent: 100}))
+    expect(progress.bytes).toBeGreaterThan(0)
+    document.removeEventListener('test-progress-activity', listener)
+    loader.destroy()
+  })
+
+  it('should reject truncated responses', async () => {
+    let errors = [],
+        finished = new Promise((resolve) => {
+          document.addEventListener('data-load-error', (e) => {
+            if (e.detail.name !== 'test-truncated') return
+            errors.push(e.detail.error)
+            if (e.detail.final) resolve()
+          })
+        }),
+        processorContext = new DataProcessorContext(DeserializingDataProcessor),
+        loader = new StreamedDataLoader({
+          name: 'test-truncated',
+          url: '/test/truncated',
+          processor: processorContext.processor,
+          retryPolicy: {delay: 10, maxAttempts: 2},
+          activityTarget: document })
+    await finished
+    expect(errors.length).toEqual(2)
+    expect(errors[0].integrity).toEqual(true)
+    expect(errors[0].message).toMatch(/row count mismatch/)
+    expect(loader._cutoff).toEqual(0)
+    loader.destroy()
+  })
+
+  it('should cancel updates that fail integrity checks', async () => {
+    let cancelled = new Promise(resolve => { regressedCancelled = resolve }),
+        failed = new Promise((resolve) => {
+          document.addEventListener('data-load-error', (e) => { if (e.detail.name === 'test-regressed') resolve(e.detail.error) })
+        }),
+        loader = new StreamedDataLoader({
+          name: 'test-regressed',
+          url: '/test/regressed',
+          processor: (stream) => stream.pipeTo(new WritableStream()),
+          retryPolicy: {maxAttempts: 1},
+          activityTarget: document })
+    await loader.whenLoaded()
+    loader.reload()
+    let error = await failed
+    expect(error.integrity).toEqual(true)
+    expect(error.message).toMatch(/cutoff regressed/)
+    await cancelled
+    loader.destroy()
+  })
+
+  it('should time out stalled responses', async () => {
+    let finished = new Promise((resolve) => {
+          document.addEventListener('data-load-error', (e) => {
+            if ((e.detail.name === 'test-stalled') && e.detail.final) resolve(e.detail.error)
+          })
+        }),
+        loader = new StreamedDataLoader({
+          name: 'test-stalled',
+          url: '/test/stalled',
+          processor: (stream) => stream.pipeTo(new WritableStream()),
+          idleTimeout: 20,
+          retryPolicy: {maxAttempts: 1},
+          activityTarget: document })
+    let error = await finished
+    expect(error.timeout).toEqual(true)
+    expect(error.message).toMatch(/idle/)
+    loader.destroy()
+  })
+
+  it('should not time out while the processor consumes rows', async () => {
+    let loaded = new Promise((resolve) => {
+          document.addEventListener('data-loaded', (e) => { if (e.detail.name === 'test-slow') resolve(e.detail) })
+        }),
+        rows = [],
+        loader = new StreamedDataLoader({
+          name: 'test-slow',
+          url: '/test/data',
+          processor: async (stream) => {
+            let reader = stream.getReader()
+            for (;;) {
+              await new Promise(resolve => setTimeout(resolve, 50))
+              let {done, value} = await reader.read()
+              if (done) break
+              rows.push(value)
+            }
+          },
+          idleTimeout: 20,
+          activityTarget: document })
+    await loaded
+    expect(rows.length).toEqual(1)
+    loader.destroy()
+  })
+
+  it('should load data in a worker', async () => {
+    let dataWorker = new DataWorker(),
+        timestamps = {test: fetchDataMockTimestamp},
+        responses = [
+          [ {count: 2, timestamps, cutoff: 1000}, ['test.1', {what: 'ever'} ], ['test.2', {what: 'two'} ] ],
+          [ {count: 2, timestamps, cutoff: 2000, update: true, diffed: true}, ['test.2', {what: 'else'} ] ] ],
+        loads = [],
+        listener = (e) => { if (e.detail.name === 'test-worker') loads.push(e.detail) }
+    // a stand-in for the worker, which sends the responses in turn
+    dataWorker._worker = {
+      postMessage: (message) => {
+        if (message.type !== 'fetch') return
+        let rows = responses.shift()
+        setTimeout(() => {
+          dataWorker._messageListener({data: {type: 'response', id: message.id, status: 200, statusText: 'OK', headers: [] }})
+          dataWorker._messageListener({data: {type: 'rows', id: message.id, rows}})
+          dataWorker._messageListener({data: {type: 'done', id: message.id}})
+        })
+      }
+    }
+    document.addEventListener('data-loaded', listener)
+    let processorContext = new DataProcessorContext(DeserializingDataProcessor),
+        loader = new StreamedDataLoader({
+          name: 'test-worker',
+          url: '/test/data',
+          processor: processorContext.processor,
+          worker: {diff: true, dataWorker},
+          activityTarget: document })
+    let [objects] = await processorContext.nextResult().promise
+    expect(Object.keys(objects).sort()).toEqual(['1', '2'])
+    loader.reload()
+    let [updatedObjects, header] = await processorContext.nextResult().promise
+    expect(header.diffed).toEqual(true)
+    expect(updatedObjects['2']).toEqual({what: 'else'})
+    await new Promise(resolve => setTimeout(resolve, 0))
+    // the load reports the count of the changes passed on
+    expect(loads.map(load => load.count)).toEqual([2, 1])
+    document.removeEventListener('data-loaded', listener)
+    loader.destroy()
+  })
+
+  it('should retry after authentication failure hook', async () => {
+    let authFailures = [],
+        processorContext = new DataProcessorContext(DeserializingDataProcessor),
+        loader = new StreamedDataLoader({
+          name: 'test-auth',
+          url: '/test/auth',
+          processor: processorContext.processor,
+          onAuthFailure: (error) => {
+            authFailures.push(error)
+            authorized = true
+            return Promise.resolve()
+          }
+        })
+    let [objects] = await processorContext.nextResult().promise
+    expect(objects).toEqual(responseObjects)
+    expect(authFailures.length).toEqual(1)
+    expect(authFailures[0].status).toEqual(401)
+    expect(authFailures[0].retryable).toEqual(false)
+    loader.destroy()
+  })
+
+  it('should poll for changes', async () => {
+    let loads = 0, listener,
+        polled = new Promise((resolve) => {
+          listener = (e) => { if ((e.detail.name === 'test-poll') && (++loads === 3)) resolve() }
+          document.addEventListener('data-loaded', listener)
+        })
+    let loader = new PollingStreamedDataLoader({
+      name: 'test-poll',
+      url: '/test/data',
+      processor: () => {},
+      pollInterval: 20,
+      pollPolicy: {factor: 1},
+      activityTarget: document
+    })
+    await polled
+    loader.destroy()
+    document.removeEventListener('data-loaded', listener)
+    expect(loads).toEqual(3)
+  })
+
+})
+
 describe('streamed-data-loader element', () => {
   let element, processorContext
 
@@ -286,12 +1431,114 @@ describe('streamed-data-loader element', () => {
       expect(object).toEqual(responseObjects['1'])
       element.remove()
     })
+    it('should reload data on request', async () => {
+      createLoaderElement()
+      fetchDataMockKeyPrefixed = true
+      processorContext = new DataProcessorContext(DeserializingDataProcessor)
+      element.processor = processorContext.processor
+      document.body.appendChild(element)
+      await processorContext.nextResult().promise
+      element.reload({full: true})
+      let [objects, header] = await processorContext.nextResult().promise
+      expect(header.update).toBeFalsy()
+      expect(objects).toEqual(responseObjects)
+      expect(JSON.parse(fetchMock.lastCall()[1].body).cutoff).toEqual(0)
+      element.remove()
+    })
+    it('should dispatch load events and resolve when loaded', async () => {
+      createLoaderElement()
+      fetchDataMockKeyPrefixed = true
+      processorContext = new DataProcessorContext(DeserializingDataProcessor)
+      element.processor = processorContext.processor
+      let events = [],
+          listener = (e) => { events.push(e) }
+      element.addEventListener('data-load-start', listener)
+      element.addEventListener('data-loaded', listener)
+      document.body.appendChild(element)
+      let header = await element.whenLoaded()
+      expect(header.count).toEqual(1)
+      expect(events.map(e => e.type)).toEqual(['data-load-start', 'data-loaded'])
+      expect(events[1].detail).toEqual(expect.objectContaining({count: 1, received: 1, update: false}))
+      element.remove()
+    })
+    it('should reload data when reconfigured', async () => {
+      createLoaderElement()
+      fetchDataMockKeyPrefixed = true
+      processorContext = new DataProcessorContext(DeserializingDataProcessor)
+      element.processor = processorContext.processor
+      document.body.appendChild(element)
+      let loader = await element.whenLoaded().then(() => element._loader)
+      element.query = {filter: 'other'}
+      let [cleared] = await processorContext.nextResult().promise
+      expect(cleared).toEqual({})
+      let [objects, header] = await processorContext.nextResult().promise
+      expect(header.update).toBeFalsy()
+      expect(objects).toEqual(responseObjects)
+      expect(element._loader).not.toBe(loader)
+      expect(JSON.parse(fetchMock.lastCall()[1].body).filter).toEqual('other')
+      element.remove()
+    })
+    it('should not share loaders with different hooks', async () => {
+      const tokenHook = (token) => (init) => { init.headers.Authorization = token }
+      let hooks = [tokenHook('first'), tokenHook('second'), undefined],
+          elements = hooks.map((hook, i) => {
+            createLoaderElement()
+            element.processor = new DataProcessorContext(DeserializingDataProcessor).processor
+            element.prepareRequest = hook || hooks[0]
+            document.body.appendChild(element)
+            return element
+          })
+      let loaders = await Promise.all(elements.map(element => element.whenLoaded().then(() => element._loader)))
+      expect(loaders[0]).not.toBe(loaders[1])
+      expect(loaders[2]).toBe(loaders[0])
+      expect(() => new StreamedDataLoader({url: '/test/data', processor: () => {}, persist: true,
+        prepareRequest: hooks[0]})).toThrow(/cacheKey/)
+      for (let element of elements)
+        element.remove()
+    })
+    it('should keep data and coalesce changes when reconfigured', async () => {
+      createLoaderElement()
+      fetchDataMockKeyPrefixed = true
+      processorContext = new DataProcessorContext(DeserializingDataProcessor)
+      element.processor = processorContext.processor
+      element.keepData = true
+      element.reconfigureDelay = 50
+      document.body.appendChild(element)
+      await processorContext.nextResult().promise
+      element.query = {filter: 'first'}
+      await element.updateComplete
+      element.query = {filter: 'second'}
+      await element.updateComplete
+      // resolves once loaded for the new configuration
+      let header = await element.whenLoaded(),
+          [objects] = await processorContext.nextResult().promise
+      expect(header.count).toEqual(1)
+      expect(objects).toEqual(responseObjects)
+      expect(JSON.parse(fetchMock.lastCall()[1].body).filter).toEqual('second')
+      element.remove()
+    })
+    it('should defer loading while paused', async () => {
+      createLoaderElement()
+      fetchDataMockKeyPrefixed = true
+      processorContext = new DataProcessorContext(DeserializingDataProcessor)
+      element.processor = processorContext.processor
+      element.paused = true
+      document.body.appendChild(element)
+      await new Promise(resolve => setTimeout(resolve, 100))
+      expect(processorContext.results.length).toEqual(0)
+      element.resume()
+      let [objects] = await processorContext.nextResult().promise
+      expect(objects).toEqual(responseObjects)
+      element.remove()
+    })
   })
 
 })
 
 describe('updating-streamed-data-loader element', () => {
-  let element, processorContext
+  let element, processorContext,
+      heldRequests = 0,
+      heldCancelled = false
 
   function createLoaderElement() {
     element = document.createElement('updating-streamed-data-loader')
@@ -306,6 +1553,21 @@ describe('updating-streamed-data-loader element', () => {
     fetchMock.reset()
     fetchMock
       .post(dataURL, fetchDataMock)
+      .post(new URL('/test/held', document.location), (url, options, request) => {
+        if (heldRequests++) return fetchDataMock(url, options, request)
+        let encoder = new TextEncoder(),
+            header = {count: 1, timestamps: {test: fetchDataMockTimestamp}, cutoff: Date.now()},
+            body = new ReadableStream({
+              start(controller) {
+                // the header arrives, then the rest is held
+                controller.enqueue(encoder.encode(JSON.stringify(header) + '\n'))
+              },
+              cancel() {
+                heldCancelled = true
+              }
+            })
+        return new Response(body, {status: 200, statusText: 'OK', headers: {'Content-Type': 'application/x-ndjson'}})
+      })
       .catch(400)
   })
 
@@ -371,6 +1633,104 @@ describe('updating-streamed-data-loader element', () => {
       expect(object).toEqual(responseObjects['1'])
       element.remove()
     })
+    it('should pass status options to the status transport', async () => {
+      createLoaderElement()
+      processorContext = new DataProcessorContext(DeserializingDataProcessor)
+      element.processor = processorContext.processor
+      element.statusOptions = {heartbeatEvent: 'test/heartbeat', idleTimeout: 60000}
+      document.body.appendChild(element)
+      await processorContext.nextResult().promise
+      let transport = element._loader._statusTransport
+      expect(transport._options.heartbeatEvent).toEqual('test/heartbeat')
+      expect(transport._options.idleTimeout).toEqual(60000)
+      element.remove()
+    })
+    it('should restart a full load when changes are reported', async () => {
+      createLoaderElement()
+      fetchDataMockKeyPrefixed = true
+      processorContext = new DataProcessorContext(DeserializingDataProcessor)
+      element.processor = processorContext.processor
+      element.url = '/test/held'
+      element.abortOnChange = true
+      let since = fetchDataMockTimestamp = Date.now()
+      document.body.appendChild(element)
+      // wait for the held response's header
+      await new Promise(resolve => setTimeout(resolve, 50))
+      let statusURL = new URL('/test/status', document.location),
+          now = fetchDataMockTimestamp = since + 1,
+          event = new MessageEvent('test/status', {data: JSON.stringify({superseded: {test: now}})})
+      eventSources[statusURL].emit(event.type, event)
+      let [objects, header] = await processorContext.nextResult().promise
+      expect(heldCancelled).toBeTruthy()
+      expect(heldRequests).toEqual(2)
+      expect(header.update).toBeFalsy()
+      expect(header.timestamps).toEqual({test: now})
+      expect(objects).toEqual(responseObjects)
+      element.remove()
+    })
+    it('should coalesce bursts of status events', async () => {
+      createLoaderElement()
+      processorContext = new DataProcessorContext(DeserializingDataProcessor)
+      element.processor = processorContext.processor
+      element.statusDebounce = 30
+      document.body.appendChild(element)
+      await processorContext.nextResult().promise
+      let statusURL = new URL('/test/status', document.location),
+          dataURL = new URL('/test/data', document.location),
+          calls = fetchMock.calls(dataURL).length
+      for (let i = 0; i < 5; ++i) {
+        let now = fetchDataMockTimestamp = Date.now() + i,
+            event = new MessageEvent('test/status', {data: JSON.stringify({superseded: {test: now}})})
+        eventSources[statusURL].emit(event.type, event)
+      }
+      await processorContext.nextResult().promise
+      await new Promise(resolve => setTimeout(resolve, 60))
+      expect(fetchMock.calls(dataURL).length).toEqual(calls + 1)
+      element.remove()
+    })
+    it('should process changes carried by status events', async () => {
+      createLoaderElement()
+      processorContext = new DataProcessorContext(DeserializingDataProcessor)
+      element.processor = processorContext.processor
+      document.body.appendChild(element)
+      await processorContext.nextResult().promise
+      let statusURL = new URL('/test/status', document.location),
+          dataURL = new URL('/test/data', document.location),
+          calls = fetchMock.calls(dataURL).length,
+          since = fetchDataMockTimestamp,
+          now = since + 1,
+          updatedAt = new Date(now).toISOString(),
+          rows = [ ['test.2', {what: 'else', createdAt: responseCreatedAt, updatedAt} ] ],
+          data = JSON.stringify({superseded: {test: now}, delta: {rows, since: {test: since}, timestamps: {test: now}}}),
+          event = new MessageEvent('test/status', {data})
+      eventSources[statusURL].emit(event.type, event)
+      let [objects, header] = await processorContext.nextResult().promise
+      expect(header.update).toBeTruthy()
+      expect(header.inline).toBeTruthy()
+      expect(objects).toEqual({...responseObjects, '2': {...responseObjects['1'], what: 'else'} })
+      expect(fetchMock.calls(dataURL).length).toEqual(calls)
+      element.remove()
+    })
+    it('should request changes carried by status events in malformed rows', async () => {
+      createLoaderElement()
+      processorContext = new DataProcessorContext(DeserializingDataProcessor)
+      element.processor = processorContext.processor
+      document.body.appendChild(element)
+      await processorContext.nextResult().promise
+      let statusURL = new URL('/test/status', document.location),
+          dataURL = new URL('/test/data', document.location),
+          calls = fetchMock.calls(dataURL).length,
+          since = fetchDataMockTimestamp,
+          now = fetchDataMockTimestamp = since + 1,
+          data = JSON.stringify({superseded: {test: now}, delta: {rows: [null], since: {test: since}, timestamps: {test: now}}}),
+          event = new MessageEvent('test/status', {data})
+      eventSources[statusURL].emit(event.type, event)
+      let [objects, header] = await processorContext.nextResult().promise
+      expect(header.inline).toBeUndefined()
+      expect(objects).toEqual(responseObjects)
+      expect(fetchMock.calls(dataURL).length).toEqual(calls + 1)
+      element.remove()
+    })
   })
 
 })
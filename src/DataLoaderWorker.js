@@ -0,0 +1,153 @@
+'use strict'
+
+/* eslint-env worker */
+
+import DataWorkerStore from './DataWorkerStore.js'
+
+// Data loader worker script (see `DataWorker`).
+//
+// Fetches data requests, decodes NDJSON responses, and posts the
+// decoded rows back to the main thread as they are decoded. If
+// configured with a store name, the worker keeps a copy of the loaded
+// objects and posts only the rows that change the copy (see
+// `DataWorkerStore`).
+//
+// Messages received:
+// *   `{type: 'fetch', id, url, init, keyPrefix, store, continuing}` -
+//     fetch data (`continuing` is true for pages following the first)
+// *   `{type: 'abort', id}` - abort a request
+// *   `{type: 'release', store}` - discard a store
+//
+// Messages posted:
+// *   `{type: 'response', id, status, statusText, headers, body}` -
+//     response received (`body` is present for unsuccessful responses)
+// *   `{type: 'progress', id, bytes, rows}` - response bytes and data
+//     rows received
+// *   `{type: 'rows', id, rows}` - a batch of rows (the first batch
+//     starts with the header object)
+// *   `{type: 'done', id}` - all rows posted
+// *   `{type: 'error', id, name, message, integrity}` - request failed
+
+// number of rows posted in each message
+const rowBatchSize = 1000
+
+let requests = new Map(),
+    stores = new Map()
+
+self.addEventListener('message', (e) => {
+  let message = e.data
+  if (message.type === 'fetch')
+    fetchData(message)
+  else if (message.type === 'abort') {
+    let controller = requests.get(message.id)
+    if (controller) controller.abort()
+  }
+  else if (message.type === 'release')
+    stores.delete(message.store)
+})
+
+function integrityError(message) {
+  let error = new Error(`Data integrity check failed: ${message}`)
+  error.integrity = true
+  return error
+}
+
+async function fetchData({id, url, init, keyPrefix, store, continuing}) {
+  let controller = new AbortController()
+  requests.set(id, controller)
+  try {
+    let response = await fetch(url, {...init, signal: controller.signal}),
+        meta = {type: 'response', id, status: response.status, statusText: response.statusText,
+          headers: Array.from(response.headers)}
+    if (!response.ok) {
+      meta.body = await response.text().catch(() => '')
+      self.postMessage(meta)
+      return
+    }
+    self.postMessage(meta)
+    let header, dataStore,
+        count = 0,
+        reported = 0,
+        batch = []
+    const postRows = () => {
+      if (batch.length === 0) return
+      self.postMessage({type: 'rows', id, rows: batch})
+      batch = []
+    }
+    const onRow = (row) => {
+      if (header === undefined) {
+        header = row
+        // only data responses (with a row count) are compared
+        if ((store !== undefined) && header.hasOwnProperty('count')) {
+          if (!stores.has(store)) stores.set(store, new DataWorkerStore())
+          dataStore = stores.get(store)
+          row = dataStore.startResponse(header, continuing)
+        }
+      }
+      else {
+        count += 1
+        if (keyPrefix && header.hasOwnProperty('count') && !validKey(row[0], keyPrefix)) return
+        if (dataStore) row = dataStore.compareRow(row)
+        if (!row) return
+      }
+      batch.push(row)
+      if (batch.length >= rowBatchSize) postRows()
+    }
+    const onChunk = (bytes) => {
+      postRows()
+      if (bytes || (count > reported)) self.postMessage({type: 'progress', id, bytes, rows: count - reported})
+      reported = count
+    }
+    await readRows(response.body, onRow, onChunk)
+    if (header === undefined) throw integrityError('missing header')
+    if (header.hasOwnProperty('count') && (count !== header.count))
+      throw integrityError(`row count mismatch (expected ${header.count}, received ${count})`)
+    if (dataStore) batch.push(...dataStore.finishResponse())
+    onChunk(0)
+    self.postMessage({type: 'done', id})
+  }
+  catch (error) {
+    self.postMessage({type: 'error', id, name: error.name, message: error.message, integrity: !!error.integrity})
+  }
+  finally {
+    requests.delete(id)
+  }
+}
+
+// reads and decodes an NDJSON response body, passing each row (the
+//   first being the header object) to `onRow()`, and the size of each
+//   chunk read to `onChunk()` once its rows are decoded
+async function readRows(body, onRow, onChunk) {
+  let reader = body.getReader(),
+      decoder = new TextDecoder(),
+      header = false,
+      text = ''
+  const parseLine = (line) => {
+    if (!line.trim()) return
+    let row = JSON.parse(line)
+    if (!header) {
+      if (!row || (typeof row !== 'object') || Array.isArray(row)) throw integrityError('malformed header')
+      header = true
+    }
+    else if (!Array.isArray(row) || (row.length !== 2) || (typeof row[0] !== 'string'))
+      throw integrityError(`malformed data row (${line.slice(0, 100)})`)
+    onRow(row)
+  }
+  for (;;) {
+    let {done, value} = await reader.read()
+    if (done) break
+    text += decoder.decode(value, {stream: true})
+    let lines = text.split('\n')
+    text = lines.pop()
+    lines.forEach(parseLine)
+    onChunk(value.byteLength)
+  }
+  parseLine(text + decoder.decode())
+}
+
+function validKey(key, keyPrefix) {
+  let path = key.split('.')
+  if ((path.length === 2) && (path[0] === keyPrefix) && path[1]) return true
+  console.log(`data loader worker found invalid path (${key})`)
+  return false
+}
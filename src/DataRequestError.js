@@ -0,0 +1,79 @@
+'use strict'
+
+// length of response body excerpt included in errors
+const bodyExcerptLength = 500
+
+// parses a Retry-After header value (delay seconds or HTTP date);
+//   returns the delay in milliseconds, or undefined if not parseable
+function parseRetryAfter(value) {
+  if (!value) return undefined
+  if (/^\s*\d+\s*$/.test(value)) return parseInt(value, 10) * 1000
+  let date = Date.parse(value)
+  return isNaN(date) ? undefined : Math.max(0, date - Date.now())
+}
+
+
+/** Data request error.
+ * Describes a failed data request. Errors for unsuccessful HTTP
+ * responses carry the response status; errors without a `status`
+ * describe network failures, timeouts and the like.
+ *
+ * Client errors (4xx responses, other than 408 and 429) are not
+ * retryable: repeating the request is expected to fail the same way.
+ * Other failures are presumed to be transient.
+ *
+ * @param {string} message - error message
+ * @param {Object} options - (optional) error properties:
+ * *   `status` **integer** - HTTP response status
+ * *   `statusText` **string** - HTTP response status text
+ * *   `body` **string** - excerpt of the response body
+ * *   `retryable` **boolean** - if false, the request should not be
+ *     retried; default is true
+ * *   `retryAfter` **integer** - (optional) delay, in milliseconds,
+ *     before the request should be retried (from a `Retry-After`
+ *     header)
+ * *   `timeout` **boolean** - (optional) true if the request timed out
+ * *   `integrity` **boolean** - (optional) true if the response failed
+ *     data integrity checks
+ * *   `aborted` **boolean** - (optional) true if the load was aborted
+ *     because the loader was destroyed
+ * *   `superseded` **boolean** - (optional) true if the load was
+ *     aborted because newer data is available (the load is restarted)
+ */
+class DataRequestError extends Error {
+
+  constructor(message, options) {
+    super(message)
+    this.name = 'DataRequestError'
+    Object.assign(this, {status: undefined, statusText: undefined, body: undefined, retryable: true, ...options})
+  }
+
+  /** Creates an error for an unsuccessful response.
+   * @param {Response} response - `fetch()` response
+   * @param {string} body - response body text
+   * @return {DataRequestError} error describing the response
+   */
+  static fromResponse(response, body) {
+    let status = response.status,
+        options = {
+          status,
+          statusText: response.statusText,
+          body: (body || '').slice(0, bodyExcerptLength),
+          retryable: this.isRetryableStatus(status) }
+    if ((status === 429) || (status === 503))
+      options.retryAfter = parseRetryAfter(response.headers.get('Retry-After'))
+    return new DataRequestError(`Data loading failed (${status}, ${response.statusText})`, options)
+  }
+
+  /** Determines whether a request failing with the specified HTTP
+   * status may be retried.
+   * @param {integer} status - HTTP response status
+   * @return {boolean} true if retryable
+   */
+  static isRetryableStatus(status) {
+    return !((status >= 400) && (status < 500)) || (status === 408) || (status === 429)
+  }
+
+}
+
+export {DataRequestError as default}
@@ -0,0 +1,192 @@
+'use strict'
+
+import DataRequestError from './DataRequestError.js'
+
+/** Data loader worker.
+ * Fetches data requests and decodes NDJSON responses in a dedicated
+ * `Worker`, so that parsing large responses doesn't block the main
+ * thread. Its `fetch()` method is a substitute for `fetch()` (see the
+ * `fetch` option of `PooledDataRequest`) that resolves with a
+ * `Response` object whose `rows` property is a `ReadableStream` of the
+ * decoded rows (the header object, followed by data rows), ready for
+ * processing. Rows are passed on as they are decoded; the worker checks
+ * the format of the rows and, at the end of the response, their count
+ * (erroring the stream if the checks fail).
+ *
+ * Optionally, the worker validates data object keys (dropping rows
+ * whose keys don't have the form `<key-prefix>.<key>`), and keeps a
+ * copy of the loaded objects (a _store_) against which responses are
+ * compared, so that only rows that add, change or remove objects are
+ * passed to the main thread (see `DataWorkerStore`). Such responses
+ * have a header with `update` and `diffed` properties of true (and,
+ * for complete responses converted to updates, a `diffedFull` property
+ * of true). (The comparison starts once a complete, non-update response
+ * is loaded; paginated responses aren't compared.) The header `count` remains
+ * that of the response, which may exceed the number of rows passed on.
+ *
+ * The worker runs the `DataLoaderWorker.js` module script; the script
+ * URL may be changed with the `url` option (if, say, the script is
+ * served separately from the bundled application). If workers aren't
+ * available, `available` is false and loaders fall back to loading on
+ * the main thread. If the worker fails (if its script fails to load,
+ * say), pending requests fail (with errors whose `retryAfter` is 0, so
+ * that they're retried straight away), and `available` becomes false.
+ *
+ * @param {Object} options - (optional) configuration options:
+ * *   `url` **string** - worker script URL
+ */
+class DataWorker {
+
+  constructor(options) {
+    this._config = {...options}
+    this._worker = undefined
+    this._requests = new Map()
+    this._nextId = 1
+    this._failed = false
+  }
+
+  /** True if workers are available (and the worker hasn't failed).
+   * @type {boolean}
+   */
+  get available() {
+    return !this._failed && (typeof Worker !== 'undefined')
+  }
+
+  /** Sends a data request from the worker.
+   * @param {string|URL} url - request URL
+   * @param {Object} init - `fetch()` init object
+   * @param {Object} options - (optional) processing options:
+   * *   `keyPrefix` **string** - if specified, rows whose keys don't
+   *     have this prefix are dropped
+   * *   `store` **string** - if specified, name of the store against
+   *     which responses are compared
+   * *   `continuing` **boolean** - if true, the request is for a page
+   *     following the first of a paginated response (which isn't
+   *     compared)
+   * *   `onBytes` **Function** - invoked with the count of response
+   *     bytes received, as they are received
+   * *   `onRows` **Function** - invoked with the count of data rows
+   *     decoded, as they are decoded (including rows not passed on)
+   * *   `onComplete` **Function** - invoked when the response has been
+   *     read (or the request has failed)
+   * @return {Promise} resolves with the `Response` object; for a
+   *   successful response, its `rows` property is a stream of the
+   *   decoded rows
+   */
+  fetch(url, init, options) {
+    let id = this._nextId++,
+        {signal, ...requestInit} = init || {},
+        {keyPrefix, store, continuing, onBytes, onRows, onComplete} = options || {}
+    return new Promise((resolve, reject) => {
+      let worker = this._getWorker()
+      this._requests.set(id, {resolve, reject, onBytes, onRows, onComplete})
+      if (signal) {
+        const abort = () => {
+          worker.postMessage({type: 'abort', id})
+          this._failRequest(id, new DOMException('The request was aborted', 'AbortError'))
+        }
+        if (signal.aborted) return abort()
+        signal.addEventListener('abort', abort)
+      }
+      worker.postMessage({type: 'fetch', id, url: String(url), init: requestInit, keyPrefix, store, continuing: !!continuing})
+    })
+  }
+
+  /** Discards a store.
+   * @param {string} store - store name
+   */
+  release(store) {
+    if (this._worker) this._worker.postMessage({type: 'release', store})
+  }
+
+  _getWorker() {
+    if (!this._worker) {
+      this._worker = this._config.url
+        ? new Worker(this._config.url, {type: 'module'})
+        : new Worker(new URL('./DataLoaderWorker.js', import.meta.url), {type: 'module'})
+      this._worker.addEventListener('message', this._messageListener.bind(this))
+      this._worker.addEventListener('error', this._errorListener.bind(this))
+      this._worker.addEventListener('messageerror', this._messageErrorListener.bind(this))
+    }
+    return this._worker
+  }
+
+  // the worker failed (its script failed to load, say): pending
+  //   requests fail, and loaders fall back to loading on the main thread
+  _errorListener(e) {
+    let message = (e && e.message) || 'worker error'
+    console.log(`data worker failed: ${message}`)
+    this._failed = true
+    if (this._worker) this._worker.terminate()
+    this._worker = undefined
+    this._failRequests(new DataRequestError(`Data worker failed (${message})`, {retryAfter: 0}))
+  }
+
+  // a message couldn't be deserialized; it can't be attributed to a
+  //   request, so every pending request fails
+  _messageErrorListener(e) {
+    this._failRequests(new DataRequestError('Data worker message could not be decoded', {retryAfter: 0}))
+  }
+
+  _failRequests(error) {
+    for (let id of Array.from(this._requests.keys()))
+      this._failRequest(id, error)
+  }
+
+  _messageListener(e) {
+    let message = e.data,
+        request = this._requests.get(message.id)
+    if (!request) return
+    switch (message.type) {
+    case 'response': {
+      let response = new Response(message.body,
+        {status: message.status, statusText: message.statusText, headers: message.headers})
+      if (response.ok) {
+        response.rows = new ReadableStream({
+          start: (controller) => { request.controller = controller },
+          cancel: () => {
+            if (this._worker) this._worker.postMessage({type: 'abort', id: message.id})
+            this._requests.delete(message.id)
+          }
+        })
+      }
+      else
+        this._requests.delete(message.id)
+      request.resolve(response)
+      break
+    }
+    case 'progress':
+      if (request.onBytes && message.bytes) request.onBytes(message.bytes)
+      if (request.onRows && message.rows) request.onRows(message.rows)
+      break
+    case 'rows':
+      for (let row of message.rows)
+        request.controller.enqueue(row)
+      break
+    case 'done':
+      request.controller.close()
+      this._requests.delete(message.id)
+      if (request.onComplete) request.onComplete()
+      break
+    case 'error':
+      this._failRequest(message.id, (message.name === 'AbortError')
+        ? new DOMException(message.message, 'AbortError')
+        : new DataRequestError(message.message, {integrity: message.integrity}))
+      break
+    }
+  }
+
+  _failRequest(id, error) {
+    let request = this._requests.get(id)
+    if (request) {
+      this._requests.delete(id)
+      if (request.controller) request.controller.error(error); else request.reject(error)
+      if (request.onComplete) request.onComplete()
+    }
+  }
+
+}
+
+let dataWorker = new DataWorker()
+
+export {DataWorker as default, dataWorker}
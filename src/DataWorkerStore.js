@@ -0,0 +1,100 @@
+'use strict'
+
+/** Data worker store.
+ * A copy of the data objects loaded by a data loader, kept by the data
+ * loader worker (see `DataWorker`), against which responses are
+ * compared so that only rows that add, change or remove objects are
+ * passed on. Responses are compared row by row as they are decoded:
+ * `startResponse()` is passed the header object, `compareRow()` each
+ * data row, and `finishResponse()` returns the rows that remove objects
+ * missing from a complete response.
+ *
+ * The copy is only trusted once a complete (non-update, unpaginated)
+ * response has been loaded; until then, rows are passed through
+ * unchanged. The pages of paginated responses are passed through, and
+ * discard the copy.
+ */
+class DataWorkerStore {
+
+  constructor() {
+    this._objects = new Map()
+    this._synced = false
+    this._response = undefined
+  }
+
+  /** True once a complete response has been loaded.
+   * @type {boolean}
+   */
+  get synced() {
+    return this._synced
+  }
+
+  /** Starts comparing a response.
+   * @param {Object} header - response header object
+   * @param {boolean} continuing - true if the response is a page
+   *   following the first of a paginated response
+   * @return {Object} header object to pass on; compared responses have
+   *   `update` and `diffed` properties of true, and complete responses
+   *   converted to updates also have a `diffedFull` property of true
+   */
+  startResponse(header, continuing) {
+    if ((header.next != undefined) || continuing) {
+      this._objects.clear()
+      this._synced = false
+      this._response = {passThrough: true}
+      return header
+    }
+    let compare = this._synced
+    if (!header.update) {
+      this._response = {complete: true, compare, previous: this._objects}
+      this._objects = new Map()
+      return compare ? {...header, update: true, diffed: true, diffedFull: true} : header
+    }
+    this._response = {passThrough: !compare}
+    return compare ? {...header, diffed: true} : header
+  }
+
+  /** Compares a data row with the copy, and updates the copy.
+   * @param {Array} row - data row
+   * @return {Array} row to pass on; undefined if the row changes nothing
+   */
+  compareRow(row) {
+    let response = this._response,
+        [key, obj] = row
+    if (response.complete) {
+      if (obj == undefined) return response.compare ? undefined : row
+      let json = JSON.stringify(obj),
+          previous = response.previous.get(key)
+      this._objects.set(key, json)
+      response.previous.delete(key)
+      return (!response.compare || (previous !== json)) ? row : undefined
+    }
+    if (response.passThrough) return row
+    if (obj == undefined) return this._objects.delete(key) ? [key, null] : undefined
+    let json = JSON.stringify(obj)
+    if (this._objects.get(key) === json) return undefined
+    this._objects.set(key, json)
+    return row
+  }
+
+  /** Finishes comparing a response.
+   * @return {Array} rows removing the objects missing from a compared
+   *   complete response
+   */
+  finishResponse() {
+    let response = this._response,
+        rows = []
+    this._response = undefined
+    if (response && response.complete) {
+      if (response.compare) {
+        for (let key of response.previous.keys())
+          rows.push([key, null])
+      }
+      this._synced = true
+    }
+    return rows
+  }
+
+}
+
+export {DataWorkerStore as default}
@@ -2,6 +2,8 @@
 
 import isEqual from 'lodash/isEqual'
 
+import TimeSlicer from './TimeSlicer.js'
+
 const nullSerialization = {
   wrapEntity(entity, context) { return entity }
 }
@@ -47,6 +49,15 @@ const nullSerialization = {
  *       deserializing incoming entities
  * *   `keyPrefix` (`String`) - key prefix for data entities; default
  *       is the `property` parameter
+ * *   `timeSlice` (`Object`) - if specified, incoming entities are
+ *       processed in time slices, yielding to the event loop between
+ *       slices (see `TimeSlicer` for the `time` and `rows` limits)
+ * *   `incremental` (`Boolean`) - if true (and time slicing), entities
+ *       added or changed in each slice are stored in the bucket before
+ *       yielding, so that partial results are available early; entities
+ *       are destroyed only once loading is complete (and a load that is
+ *       aborted leaves the partial results in place). Not supported by
+ *       `DeserializingSingletonDataProcessor`.
  */
 class DeserializingDataProcessor {
 
@@ -67,6 +78,9 @@ class DeserializingDataProcessor {
    * *   `header` **Object** - header object; properties:
    *     *   `update` - if true, update the storage bucket; otherwise,
    *         replace its content in its entirety
+   * *   `options` **Object** - (optional) processing options:
+   *     *   `signal` **AbortSignal** - if signalled, processing stops
+   *         and the bucket is left unchanged
    *
    * @return {Function} data processor
    */
@@ -74,7 +88,8 @@ class DeserializingDataProcessor {
     return this._streamedDataProcessor.bind(this)
   }
 
-  async _streamedDataProcessor(stream, header) {
+  async _streamedDataProcessor(stream, header, options) {
+    const signal = options && options.signal
     const destroyEntity = (entity) => { if (entity.destroy) entity.destroy() }
     const equalEntities = (entity1, entity2) => { return entity1.isEqual ? entity1.isEqual(entity2) : isEqual(entity1, entity2) }
 
@@ -82,17 +97,36 @@ class DeserializingDataProcessor {
     //   if replacing all existing entities (not an update),
     //   provisionally mark existing entities for destruction
     let [bucket, changes] = this._getBucket(),
+        entitiesCount = Object.keys(bucket).length,
         toDestroy = new Set(),
-        toAdd = new Map()
+        toAdd = new Map(),
+        added = 0
     if (!header.update) {
       for (let last in bucket)
         toDestroy.add(last)
     }
 
+    // stores accumulated adds (replacing existing entities)
+    const applyAdds = () => {
+      for (let [last, entity] of toAdd) {
+        if (bucket[last]) destroyEntity(bucket[last])
+        bucket[last] = entity
+        toDestroy.delete(last)
+      }
+      added += toAdd.size
+      toAdd.clear()
+      this._setBucket(bucket)
+    }
+
     // process entities, accumulate adds and destroys
     const reader = stream.getReader()
+    const slicer = TimeSlicer.create(this._config.timeSlice)
     for (;;) {
       let {done, value} = await reader.read()
+      if (signal && signal.aborted) {
+        reader.cancel(signal.reason).catch(() => {})
+        return
+      }
       if (done) break
       let [key, entity] = value
       // determine id for entity; ignore entities with invalid coding
@@ -129,10 +163,15 @@ class DeserializingDataProcessor {
           }
         }
       }
+      // yield between time slices
+      let pause = slicer && slicer.tick()
+      if (pause) {
+        if (this._config.incremental && (toAdd.size > 0)) applyAdds()
+        await pause
+      }
     }
 
-    let entitiesCount = Object.keys(bucket).length,
-        toAddCount = toAdd.size,
+    let toAddCount = added + toAdd.size,
         toDestroyCount = toDestroy.size
 
     let clauses = [`${entitiesCount} entities`]
@@ -0,0 +1,152 @@
+'use strict'
+
+const defaultDBName = 'seabourne-data-loaders'
+const storeName = 'loaders'
+const savedAtIndex = 'savedAt'
+const dbVersion = 1
+
+const defaultMaxRecords = 100
+const defaultMaxAge = 30 * 24 * 60 * 60 * 1000
+
+
+/** Persistent data cache.
+ * Stores data loader state (loaded data objects, response header,
+ * dependency timestamps and cutoff) in IndexedDB, so that data survives
+ * page reloads.
+ *
+ * Records are keyed by a cache key; data loaders use the hash of their
+ * configuration (see `SharedDataLoaders`). Each record has these
+ * properties:
+ * *   `objects` **Array** - loaded data objects, as `[key, object]`
+ *     entries
+ * *   `header` **Object** - response header object
+ * *   `timestamps` **Object** - dependency timestamps
+ * *   `cutoff` **integer** - cutoff timestamp
+ * *   `sequence` **integer** - (optional) response sequence number
+ * *   `savedAt` **integer** - time the record was saved
+ *
+ * Records are evicted when they expire (when older than `maxAge`), and
+ * when there are more than `maxRecords`, the least recently saved
+ * records are evicted; eviction takes place as records are stored.
+ * Expired records are not returned by `get()`.
+ *
+ * Caching is a best-effort affair: if IndexedDB is unavailable or fails,
+ * errors are logged and reads resolve as if no record were present.
+ *
+ * @param {Object} options - (optional) configuration options:
+ * *   `dbName` **string** - IndexedDB database name
+ * *   `maxRecords` **integer** - maximum number of records; default is
+ *     100 (0 for no limit)
+ * *   `maxAge` **integer** - time after which records expire, in
+ *     milliseconds; default is 30 days (0 for no limit)
+ */
+class PersistentDataCache {
+
+  constructor(options) {
+    this._config = {dbName: defaultDBName, maxRecords: defaultMaxRecords, maxAge: defaultMaxAge, ...options}
+    this._db = undefined
+  }
+
+  /** Gets a cached record.
+   * @param {string} key - cache key
+   * @return {Promise} resolves with the cached record, or undefined if
+   *   there is no record
+   */
+  get(key) {
+    return this._request('readonly', store => store.get(key))
+      .then(record => (record && (record.savedAt < this._expiry())) ? undefined : record)
+      .catch(error => {
+        console.log(`persistent data cache read failed: ${error && error.message}`)
+        return undefined
+      })
+  }
+
+  /** Stores a record, then evicts records as necessary.
+   * @param {string} key - cache key
+   * @param {Object} record - record to store (with a `savedAt` time)
+   * @return {Promise} resolves when stored
+   */
+  put(key, record) {
+    return this._request('readwrite', store => store.put(record, key))
+      .then(() => this._evict())
+      .then(() => undefined)
+      .catch(error => { console.log(`persistent data cache write failed: ${error && error.message}`) })
+  }
+
+  /** Deletes a record.
+   * @param {string} key - cache key
+   * @return {Promise} resolves when deleted
+   */
+  delete(key) {
+    return this._request('readwrite', store => store.delete(key))
+      .then(() => undefined)
+      .catch(error => { console.log(`persistent data cache delete failed: ${error && error.message}`) })
+  }
+
+  /** Deletes all records.
+   * @return {Promise} resolves when deleted
+   */
+  clear() {
+    return this._request('readwrite', store => store.clear())
+      .then(() => undefined)
+      .catch(error => { console.log(`persistent data cache clear failed: ${error && error.message}`) })
+  }
+
+  _open() {
+    if (!this._db) {
+      this._db = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') throw new Error('IndexedDB not available')
+        let request = indexedDB.open(this._config.dbName, dbVersion)
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(storeName).createIndex(savedAtIndex, 'savedAt')
+        }
+        request.onsuccess = () => { resolve(request.result) }
+        request.onerror = () => { reject(request.error) }
+      })
+    }
+    return this._db
+  }
+
+  _request(mode, operation) {
+    return this._open()
+      .then(db => new Promise((resolve, reject) => {
+        let transaction = db.transaction(storeName, mode),
+            request = operation(transaction.objectStore(storeName))
+        transaction.oncomplete = () => { resolve(request.result) }
+        transaction.onerror = transaction.onabort = () => { reject(transaction.error) }
+      }))
+  }
+
+  // time before which records are expired
+  _expiry() {
+    return (this._config.maxAge > 0) ? Date.now() - this._config.maxAge : -Infinity
+  }
+
+  // deletes expired records, and the least recently saved records in
+  //   excess of `maxRecords`
+  _evict() {
+    let maxRecords = this._config.maxRecords,
+        expiry = this._expiry()
+    return this._request('readwrite', (store) => {
+      let request = store.count()
+      request.onsuccess = () => {
+        let excess = (maxRecords > 0) ? request.result - maxRecords : 0,
+            cursorRequest = store.index(savedAtIndex).openKeyCursor()
+        cursorRequest.onsuccess = () => {
+          let cursor = cursorRequest.result
+          if (cursor && ((excess > 0) || (cursor.key < expiry))) {
+            store.delete(cursor.primaryKey)
+            excess -= 1
+            cursor.continue()
+          }
+        }
+      }
+      return request
+    })
+  }
+
+}
+
+let persistentDataCache = new PersistentDataCache()
+
+export {PersistentDataCache as default, persistentDataCache}
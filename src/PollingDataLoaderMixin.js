@@ -0,0 +1,123 @@
+'use strict'
+
+import {dedupeMixin} from '@open-wc/dedupe-mixin'
+
+const defaultPollPolicy = {interval: 60000, maxInterval: 600000, factor: 2}
+
+
+/** Polling data loader mixin.
+ * Refreshes data by polling the data loader's data source, for data
+ * sources without a status event source (see
+ * `UpdatingDataLoaderMixin`).
+ *
+ * Once data is loaded, the loader waits for the poll interval, then
+ * requests changes since the data was loaded (that is, with the
+ * dependency timestamps and cutoff of the loaded data). When a poll
+ * finds no changes (an update containing no data objects), the interval
+ * is increased by the policy `factor`, up to `maxInterval`; it returns
+ * to `interval` once changes are found.
+ *
+ * Polling is suspended while the page is hidden; a poll falling due
+ * while the page is hidden is made when the page becomes visible.
+ *
+ * @param {Object} options - configuration options:
+ * *   `pollInterval` **integer** - interval between polls, in
+ *     milliseconds; default is 60 seconds
+ * *   `pollPolicy` **Object** - (optional) poll policy, with these
+ *     properties:
+ *     *   `maxInterval` **integer** - maximum interval between polls,
+ *         in milliseconds; default is 10 minutes
+ *     *   `factor` **number** - factor by which the interval increases
+ *         after each poll finding no changes; default is 2 (1 for no
+ *         backoff)
+ */
+const PollingDataLoaderMixin = dedupeMixin((base) => class extends base {
+
+  constructor(options) {
+    super(options)
+    this._config.pollPolicy = {...defaultPollPolicy, ...this._config.pollPolicy}
+    if (this._config.pollInterval > 0) this._config.pollPolicy.interval = this._config.pollInterval
+    this._pollInterval = this._config.pollPolicy.interval
+    this._pollDue = false
+    this._boundVisibilityListener = this._visibilityListener.bind(this)
+    document.addEventListener('visibilitychange', this._boundVisibilityListener)
+  }
+
+  destroy() {
+    this._clearPoll()
+    document.removeEventListener('visibilitychange', this._boundVisibilityListener)
+    super.destroy()
+  }
+
+  _dataLoaded(header) {
+    super._dataLoaded(header)
+    // persisted data is followed by a request for changes in any case
+    if (header.cached) return
+    let policy = this._config.pollPolicy
+    if (header.update && !(header.count > 0))
+      this._pollInterval = Math.min(policy.maxInterval, this._pollInterval * policy.factor)
+    else
+      this._pollInterval = policy.interval
+    this._schedulePoll()
+  }
+
+  _schedulePoll() {
+    this._clearPoll()
+    this._pollId = setTimeout(() => {
+      delete this._pollId
+      this._pollDue = true
+      this._pollIfDue()
+    }, this._pollInterval)
+  }
+
+  _clearPoll() {
+    if (this._pollId) {
+      clearTimeout(this._pollId)
+      delete this._pollId
+    }
+    this._pollDue = false
+  }
+
+  // polls if a poll is due and the page is visible; a loader that is
+  //   already loading skips the poll (the next poll is scheduled once
+  //   its data is loaded)
+  _pollIfDue() {
+    if (this._pollDue && !document.hidden) {
+      this._pollDue = false
+      if (this._requestState === 'idle') this._delayedDataRequest(0)
+    }
+  }
+
+  _visibilityListener() {
+    this._pollIfDue()
+  }
+
+})
+
+
+const PollingDataLoaderElementMixin = dedupeMixin((base) => class extends base {
+
+  constructor() {
+    super()
+    this.pollInterval = undefined
+    this.pollPolicy = undefined
+  }
+
+  static get properties() {
+    return {
+      /** Interval between polls, in milliseconds.
+       */
+      pollInterval: {
+        type: Number,
+        attribute: 'poll-interval' },
+      /** Poll policy (see `PollingDataLoaderMixin`).
+       */
+      pollPolicy: {
+        type: Object,
+        attribute: 'poll-policy' }
+    }
+  }
+
+})
+
+export {PollingDataLoaderMixin as default, PollingDataLoaderElementMixin}
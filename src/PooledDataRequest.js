@@ -2,6 +2,13 @@
 
 import isEqual from 'lodash/isEqual'
 
+import DataRequestError from './DataRequestError.js'
+
+const defaultPoolLimit = 2
+
+// methods for which request parameters are sent as a JSON body
+const bodyMethods = new Set(['POST', 'PUT', 'PATCH'])
+
 
 /* Pooled Fetch Requests.
  * Queues fetch() requests so as to limit the number of concurrently
@@ -9,12 +16,22 @@ import isEqual from 'lodash/isEqual'
  * are a limited resource.
  *
  * Requests are grouped into "pools," with an upper limit on active
- * requests for each pool (2 by default).
+ * requests for each pool (2 by default). Pool limits may be changed at
+ * any time; when a limit is raised, queued requests are started
+ * immediately, and when it is lowered, active requests run to
+ * completion before queued requests are started.
+ *
+ * Queued requests are started in priority order (higher priority
+ * first; first-come, first-served among equal priorities). If the pool
+ * has an `agingInterval`, the effective priority of a queued request
+ * increases by one for each interval it has spent waiting, so that
+ * low-priority requests are not starved.
  *
  * Each `PooledRequest` instance has a `promise` property. If the
  * fetch() request is successful, it resolves with the response object;
  * if the request fails or is canceled, it rejects with an `Error`
- * object.
+ * object (a `DataRequestError` for unsuccessful responses and
+ * timeouts).
  *
  * @private
  * @param {PooledDataRequests} context - request context
@@ -22,13 +39,24 @@ import isEqual from 'lodash/isEqual'
  * *   `url` - the url to which the request is sent
  * *   `params` - object sent as the request body
  * *   `pool` - (optional; default is `default`) request pool
+ * *   `priority` - (optional; default is 0) request priority
+ * *   `method` - (optional; default is `POST`) request method
+ * *   `credentials` - (optional; default is `include`) request
+ *     credentials mode
+ * *   `headers` - (optional) additional request headers
+ * *   `prepareRequest` - (optional) hook invoked with the `fetch()` init
+ *     object and request URL before the request is sent
+ * *   `timeout` - (optional) response timeout, in milliseconds
+ * *   `fetch` - (optional) function used in place of `fetch()`
  */
 class PooledRequest {
 
   constructor(context, options) {
     this.context = context
-    Object.assign(this, {pool: 'default', ...options})
+    Object.assign(this, {pool: 'default', priority: 0,
+      method: 'POST', credentials: 'include', headers: {}, ...options})
     this.state = ''
+    this.queuedAt = undefined
     this.promise = new Promise((resolve, reject) => {
       this.__resolve = resolve
       this.__reject = reject
@@ -39,6 +67,7 @@ class PooledRequest {
     if (this.state) throw new Error(`invalid attempt to enqueue pooled request (state ${this.state})`)
     let pool = PooledRequest.getPool(this.pool)
     pool.queued.push(this)
+    this.queuedAt = Date.now()
     this._updateState('queueud')
     PooledRequest.startPool(this.pool)
   }
@@ -52,6 +81,13 @@ class PooledRequest {
     PooledRequest.startPool(this.pool)
   }
 
+  effectivePriority(pool, now) {
+    let priority = this.priority
+    if (pool.agingInterval && this.queuedAt)
+      priority += Math.floor((now - this.queuedAt) / pool.agingInterval)
+    return priority
+  }
+
   _updateState(state) {
     this.state = state
     this.context.updateDataRequestActivity({activity: state})
@@ -61,23 +97,49 @@ class PooledRequest {
     let url = new URL(this.url, document.location),
         controller = this.__controller = new AbortController(),
         init = {
-          method: 'POST',
-          credentials: 'include',
-          headers: {'Content-Type': 'application/json'},
-          body: JSON.stringify(this.params),
+          method: this.method,
+          credentials: this.credentials,
+          headers: {...this.headers},
           signal: controller.signal }
-    fetch(url, init)
+    if (bodyMethods.has(init.method.toUpperCase())) {
+      init.headers = {'Content-Type': 'application/json', ...init.headers}
+      init.body = JSON.stringify(this.params)
+    }
+    else {
+      for (let [key, value] of Object.entries(this.params || {}))
+        if (value !== undefined)
+          url.searchParams.set(key, (typeof value === 'string') ? value : JSON.stringify(value))
+    }
+    let timeoutId
+    if (this.timeout > 0) {
+      timeoutId = setTimeout(() => {
+        this.__timedOut = true
+        controller.abort()
+      }, this.timeout)
+    }
+    Promise.resolve()
+      .then(() => this.prepareRequest && this.prepareRequest(init, url))
+      .then(() => this.fetch ? this.fetch(url, init) : fetch(url, init))
       .then(
         (response) => {
+          clearTimeout(timeoutId)
           if (response.ok)
             this.__resolve(response)
           else {
-            let error = new Error(`Data loading failed (${response.status}, ${response.statusText})`)
-            console.log(error.message)
-            this.__reject(error)
+            response.text()
+              .catch(() => '')
+              .then(body => {
+                let error = DataRequestError.fromResponse(response, body)
+                console.log(error.message)
+                this.__reject(error)
+              })
           }
         },
-        (err) => { this.__reject(err) })
+        (err) => {
+          clearTimeout(timeoutId)
+          if (this.__timedOut) err = new DataRequestError(`Data request timed out (${this.timeout} ms)`, {timeout: true})
+          this.__reject(err)
+        })
   }
 
   cancel() {
@@ -90,22 +152,54 @@ class PooledRequest {
   static getPool(name, options) {
     let pools = this.pools || (this.pools = {}),
         pool = pools[name]
-    options = {limit: 2, ...options}
     if (!pool)
-      pool = pools[name] = { limit: options.limit, queued: [], active: new Set() }
+      pool = pools[name] = { limit: defaultPoolLimit, agingInterval: 0, queued: [], active: new Set() }
+    if (options && (options.limit !== undefined)) {
+      if (!(options.limit >= 1)) throw new Error(`invalid pool limit (${name}, ${options.limit})`)
+      pool.limit = options.limit
+    }
+    if (options && (options.agingInterval !== undefined)) {
+      if (!(options.agingInterval >= 0)) throw new Error(`invalid pool aging interval (${name}, ${options.agingInterval})`)
+      pool.agingInterval = options.agingInterval
+    }
+    return pool
+  }
+
+  static configurePool(name, options) {
+    let pool = this.getPool(name, options)
+    this.startPool(name)
     return pool
   }
 
   static startPool(name) {
     let pool = this.getPool(name)
-    if ((pool.queued.length > 0) && (pool.limit > pool.active.size)) {
-      let request = pool.queued.shift()
+    while ((pool.queued.length > 0) && (pool.limit > pool.active.size)) {
+      let request = pool.queued.splice(this._nextQueuedIndex(pool), 1)[0]
       pool.active.add(request)
       request._updateState('active')
-      request._start()
+      try {
+        request._start()
+      }
+      catch (error) {
+        // a request that fails to start doesn't hold its place in the pool
+        pool.active.delete(request)
+        request.__reject(error)
+      }
     }
   }
 
+  static _nextQueuedIndex(pool) {
+    let now = Date.now(), next = 0, nextPriority
+    pool.queued.forEach((request, idx) => {
+      let priority = request.effectivePriority(pool, now)
+      if ((nextPriority === undefined) || (priority > nextPriority)) {
+        next = idx
+        nextPriority = priority
+      }
+    })
+    return next
+  }
+
 }
 
 
@@ -125,8 +219,55 @@ class PooledRequest {
  * *   `activity` - activity state.
  * *   `...` - client code may supply additional subproperties
  *
+ * Client code may also supply an activity _context_ (with
+ * `updateActivityContext()`), properties that describe the state of the
+ * requester rather than that of a request (a lost status connection,
+ * say); these are included in every activity event.
+ *
+ * #### Request pools
+ *
+ * Requests are queued in a named pool (`default` unless the `pool`
+ * option is specified), and each pool limits the number of its requests
+ * that may be concurrently active. Use separate pools to keep small,
+ * interactive requests from waiting behind large, bulk requests. Pool
+ * limits are configured with `PooledDataRequest.configurePool()`.
+ *
+ * Within a pool, queued requests with higher `priority` are started
+ * first. The priority of a queued request may be raised later (when,
+ * say, the element requiring the data becomes visible) with
+ * `updateDataRequestPriority()`.
+ *
+ * #### Request encoding
+ *
+ * By default, requests use the POST method, include credentials, and
+ * have a JSON-encoded body. The `method`, `credentials` and `headers`
+ * options change this. For methods without a request body (such as
+ * GET), the request parameters are instead serialized into the URL
+ * query string: string values are used as is; other values are
+ * JSON-encoded.
+ *
+ * The `prepareRequest(init, url)` hook is invoked before each request
+ * is sent, with the `fetch()` init object and the request `URL`
+ * object. It may modify either (to add an `Authorization` header, say),
+ * and may return a promise to delay the request until it resolves.
+ *
  * @param {Object} options - configuration options:
  * *   `name` **string** - request name for error and activity reporting
+ * *   `pool` **string** - request pool; default is `default`
+ * *   `priority` **number** - request priority; default is 0
+ * *   `method` **string** - request method; default is `POST`
+ * *   `credentials` **string** - request credentials mode; default is
+ *     `include`
+ * *   `headers` **Object** - additional request headers
+ * *   `prepareRequest` **Function** - hook to modify requests before
+ *     they are sent
+ * *   `timeout` **integer** - response timeout, in milliseconds; if
+ *     the response has not arrived within the timeout, the request is
+ *     aborted and fails
+ * *   `fetch` **Function** - function used in place of `fetch()` to
+ *     send requests (see `DataWorker`); it is passed the request URL
+ *     and init object, and returns a promise resolving with a
+ *     `Response`
  * *   `activityTarget` **Element** - target element for activity events
  * *   `activityEvent` - `CustomEvent` name for activity reporting;
  *     default is `activity-changed`
@@ -138,33 +279,88 @@ class PooledDataRequest {
     this._config = {name: 'data-request', activityEvent: 'activity-changed', ...options}
     this._dataRequest = undefined
     this._dataRequestActivity = undefined
+    this._activityContext = {}
   }
 
   destroy() {
     if (this._dataRequest) {
       this._dataRequest.cancel()
+      this._dataRequest.dequeue()
       delete this._dataRequest
     }
   }
 
   /** Queues a data request for processing.
    *
-   * Currently, requests use the POST method, include credentials, and
-   * have a JSON-encoded body.
+   * Request options (`method`, `credentials`, `headers`,
+   * `prepareRequest`, `timeout` and `fetch`) are taken from the configuration options unless
+   * specified for the request.
    *
    * @param {Object} options - data request object; has these properties:
    * *   `url` - the url to which the request is sent
    * *   `params` - object sent as the request body
+   * *   `pool` - (optional) request pool; overrides the `pool`
+   *     configuration option
+   * *   `priority` - (optional) request priority; overrides the
+   *     `priority` configuration option
+   * *   `method`, `credentials`, `headers`, `prepareRequest`,
+   *     `timeout`, `fetch` - (optional) request options; override the
+   *     corresponding configuration options
    * @return {Promise} resolves with the request response object when
    *   the request succeeds; or rejects with failure status
    */
-  queueDataRequest(options) { // {url, params}
+  queueDataRequest(options) { // {url, params, pool, priority, ...}
     if (this._dataRequest) throw new Error(`attempt to queue request when already active (${this._config.name})`)
-    let request = this._dataRequest = new PooledRequest(this, options)
+    let request = this._dataRequest = new PooledRequest(this,
+      {priority: this._config.priority || 0, ...this._requestOptions(), ...options,
+        pool: (options && options.pool) || this._config.pool || 'default'})
     this._startDataRequest()
     return request.promise
   }
 
+  /** Configures a request pool.
+   * Creates the pool if not already defined. If the pool limit is
+   * raised, queued requests are started as pool capacity permits.
+   *
+   * @param {string} name - pool name
+   * @param {Object} options - pool options:
+   * *   `limit` **integer** - maximum number of concurrently active
+   *     requests in the pool
+   * *   `agingInterval` **integer** - interval (in milliseconds) after
+   *     which the effective priority of a queued request is raised by
+   *     one; 0 (the default) disables aging
+   * @return {Object} pool configuration; has these properties:
+   * *   `limit` - active request limit
+   * *   `agingInterval` - priority aging interval
+   * *   `queued` - count of queued requests
+   * *   `active` - count of active requests
+   */
+  static configurePool(name, options) {
+    let pool = PooledRequest.configurePool(name, options)
+    return {limit: pool.limit, agingInterval: pool.agingInterval,
+      queued: pool.queued.length, active: pool.active.size}
+  }
+
+  /** Updates data request priority.
+   * Sets the priority used for subsequent data requests, and for the
+   * current data request if it is still queued.
+   *
+   * @param {number} priority - request priority
+   */
+  updateDataRequestPriority(priority) {
+    this._config.priority = priority
+    if (this._dataRequest && (this._dataRequest.state === 'queueud'))
+      this._dataRequest.priority = priority
+  }
+
+  /** Aborts the current data request.
+   * The request (or reading of its response) fails; the request
+   * remains assigned until released with `releaseDataRequest()`.
+   */
+  abortDataRequest() {
+    if (this._dataRequest) this._dataRequest.cancel()
+  }
+
   /** Releases completed data request.
    */
   releaseDataRequest() {
@@ -175,6 +371,13 @@ class PooledDataRequest {
     }
   }
 
+  _requestOptions() {
+    let options = {}
+    for (let key of ['method', 'credentials', 'headers', 'prepareRequest', 'timeout', 'fetch'])
+      if (this._config[key] !== undefined) options[key] = this._config[key]
+    return options
+  }
+
   _startDataRequest() {
     let request = this._dataRequest
     if (request) {
@@ -199,12 +402,28 @@ class PooledDataRequest {
   updateDataRequestActivity(value) {
     if (!isEqual(value, this._dataRequestActivity)) {
       this._dataRequestActivity = value
-      if (this._config.activityTarget) {
-        let event = new CustomEvent(this._config.activityEvent,
-          {bubbles: true, composed: true,
-            detail: {name: this._config.name || 'data', ...value}})
-        this._config.activityTarget.dispatchEvent(event)
-      }
+      this._dispatchActivity()
+    }
+  }
+
+  /** Updates activity context.
+   * The context properties are included in all activity events; an
+   * activity event is dispatched when the context changes.
+   * @param {Object} context - object describing requester state
+   */
+  updateActivityContext(context) {
+    if (!isEqual(context, this._activityContext)) {
+      this._activityContext = {...context}
+      this._dispatchActivity()
+    }
+  }
+
+  _dispatchActivity() {
+    if (this._config.activityTarget) {
+      let event = new CustomEvent(this._config.activityEvent,
+        {bubbles: true, composed: true,
+          detail: {name: this._config.name || 'data', ...this._activityContext, ...this._dataRequestActivity}})
+      this._config.activityTarget.dispatchEvent(event)
     }
   }
 
@@ -0,0 +1,221 @@
+'use strict'
+
+import ndjsonStream from "can-ndjson-stream"
+
+// length of frame length prefix, in bytes
+const framePrefixLength = 4
+
+// creates a stream delivering an array of rows
+function arrayStream(rows) {
+  let index = 0
+  return new ReadableStream({
+    pull(controller) {
+      if (index >= rows.length) controller.close()
+      else controller.enqueue(rows[index++])
+    }
+  })
+}
+
+// parses CSV text (RFC 4180: quoted fields, doubled quotes, CRLF or LF
+//   line endings) into an array of records, each an array of fields
+function parseCSV(text) {
+  let records = [], record = [], field = '', quoted = false, i = 0
+  while (i < text.length) {
+    let c = text[i]
+    if (quoted) {
+      if (c === '"') {
+        if (text[i + 1] === '"') { field += '"'; i += 1 }
+        else quoted = false
+      }
+      else field += c
+    }
+    else if (c === '"') quoted = true
+    else if (c === ',') { record.push(field); field = '' }
+    else if ((c === '\n') || (c === '\r')) {
+      if ((c === '\r') && (text[i + 1] === '\n')) i += 1
+      record.push(field)
+      records.push(record)
+      record = []
+      field = ''
+    }
+    else field += c
+    i += 1
+  }
+  if ((field !== '') || (record.length > 0)) {
+    record.push(field)
+    records.push(record)
+  }
+  return records.filter(r => (r.length > 1) || (r[0] !== ''))
+}
+
+/** Creates a decoder for length-prefixed binary frames.
+ * Each frame is preceded by its length, a 4-byte big-endian unsigned
+ * integer. The first frame encodes the header object, subsequent frames
+ * encode the `[key, object]` data rows.
+ *
+ * The frame codec (for MessagePack, CBOR, or whatever) is supplied by
+ * the client; for example, with `@msgpack/msgpack`:
+ *     responseDecoders.register('msgpack', {
+ *       contentTypes: ['application/x-msgpack'],
+ *       decode: framedDecoder(decode) })
+ *
+ * @param {Function} decodeFrame - decodes a frame (a `Uint8Array`) to
+ *   a header object or data row
+ * @return {Function} response decoding function
+ */
+function framedDecoder(decodeFrame) {
+  return (response) => {
+    // buffered bytes are `buffer[start..end)`; frames are views of the
+    //   buffer, so a full buffer is replaced (by one with room to spare)
+    //   rather than overwritten
+    let reader = response.body.getReader(),
+        buffer = new Uint8Array(0),
+        start = 0,
+        end = 0,
+        done = false
+    const append = (bytes) => {
+      if (start === end) {
+        buffer = bytes
+        start = 0
+        end = bytes.length
+        return
+      }
+      if (end + bytes.length > buffer.length) {
+        let b = new Uint8Array(2 * (end - start + bytes.length))
+        b.set(buffer.subarray(start, end))
+        buffer = b
+        end -= start
+        start = 0
+      }
+      buffer.set(bytes, end)
+      end += bytes.length
+    }
+    const nextFrame = () => {
+      if (end - start < framePrefixLength) return undefined
+      let length = new DataView(buffer.buffer, buffer.byteOffset + start, framePrefixLength).getUint32(0)
+      if (end - start < framePrefixLength + length) return undefined
+      let frame = buffer.subarray(start + framePrefixLength, start + framePrefixLength + length)
+      start += framePrefixLength + length
+      return frame
+    }
+    return new ReadableStream({
+      async pull(controller) {
+        for (;;) {
+          let frame = nextFrame()
+          if (frame) {
+            controller.enqueue(decodeFrame(frame))
+            return
+          }
+          if (done) {
+            if (end > start) controller.error(new Error('incomplete frame at end of response'))
+            else controller.close()
+            return
+          }
+          let rslt = await reader.read()
+          if (rslt.done) done = true
+          else append(rslt.value)
+        }
+      },
+      cancel(reason) {
+        return reader.cancel(reason)
+      }
+    })
+  }
+}
+
+
+/** Response decoders.
+ * Decode data request responses into a stream of rows: the header
+ * object followed by the `[key, object]` data rows (see
+ * `StreamedDataLoader`), regardless of the response format.
+ *
+ * Decoders are registered by name, with the response content types
+ * they handle. A decoder is an object with these properties:
+ * *   `contentTypes` **Array** - response content types (MIME types,
+ *     without parameters) handled by the decoder
+ * *   `decode` **Function** - decoding function; it has the signature
+ *     `decode(response)`, and returns a `ReadableStream` of rows (or a
+ *     promise resolving with one)
+ *
+ * These decoders are predefined:
+ * *   `ndjson` - Newline-Delimited JSON (`application/x-ndjson`,
+ *     `application/ndjson`); this is the default
+ * *   `json` - JSON document; either an object with `header` and
+ *     `objects` properties (the latter an array of `[key, object]`
+ *     rows), or an array containing the header object followed by the
+ *     rows; since NDJSON is often served as `application/json`, this
+ *     decoder handles no content type, and must be selected by name
+ * *   `csv` - comma-separated values (`text/csv`); the first record
+ *     names the columns, the `key` column (or, if none, the first
+ *     column) supplies the object keys, and each record is converted
+ *     to an object keyed by column name; the header object contains
+ *     only a `count`
+ *
+ * Binary formats (MessagePack, CBOR) can be handled with decoders
+ * created by `framedDecoder()`.
+ */
+class ResponseDecoders {
+
+  constructor() {
+    this._decoders = new Map()
+  }
+
+  /** Registers a response decoder.
+   * @param {string} name - decoder name
+   * @param {Object} decoder - decoder (see above)
+   */
+  register(name, decoder) {
+    this._decoders.set(name, {contentTypes: [], ...decoder})
+  }
+
+  /** Gets a response decoder by name.
+   * @param {string} name - decoder name
+   * @return {Object} decoder; undefined if not registered
+   */
+  get(name) {
+    return this._decoders.get(name)
+  }
+
+  /** Gets the response decoder for a response.
+   * @param {Response} response - `fetch()` response
+   * @return {Object} decoder; undefined if no decoder handles the
+   *   response content type
+   */
+  forResponse(response) {
+    let contentType = (response.headers.get('Content-Type') || '').split(';')[0].trim().toLowerCase()
+    for (let decoder of this._decoders.values())
+      if (decoder.contentTypes.includes(contentType)) return decoder
+    return undefined
+  }
+
+}
+
+let responseDecoders = new ResponseDecoders()
+
+responseDecoders.register('ndjson', {
+  contentTypes: ['application/x-ndjson', 'application/ndjson'],
+  decode: (response) => ndjsonStream(response.body)
+})
+
+responseDecoders.register('json', {
+  decode: (response) => response.json()
+    .then(doc => arrayStream(Array.isArray(doc) ? doc : [doc.header, ...(doc.objects || [])]))
+})
+
+responseDecoders.register('csv', {
+  contentTypes: ['text/csv'],
+  decode: (response) => response.text()
+    .then(text => {
+      let [columns, ...records] = parseCSV(text),
+          keyIndex = Math.max(0, (columns || []).indexOf('key'))
+      let rows = records.map(record => {
+        let object = {}
+        columns.forEach((column, idx) => { object[column] = record[idx] })
+        return [record[keyIndex], object]
+      })
+      let header = {count: rows.length}
+      return arrayStream([header, ...rows])
+    })
+})
+
+export {ResponseDecoders as default, responseDecoders, framedDecoder}
@@ -2,18 +2,50 @@
 
 import objectHash from 'object-hash'
 
+import DataRequestError from './DataRequestError.js'
+import TimeSlicer from './TimeSlicer.js'
+
+// identities of function-valued configuration options (object-hash
+//   hashes functions by their source, so that closures capturing
+//   different values would otherwise be indistinguishable)
+let functionIds = new WeakMap(),
+    nextFunctionId = 1
+
+function configHash(config) {
+  return objectHash(config, {
+    replacer: (value) => {
+      if (typeof value !== 'function') return value
+      if (!functionIds.has(value)) functionIds.set(value, nextFunctionId++)
+      return `function #${functionIds.get(value)}`
+    }
+  })
+}
+
 class StreamForwarder {
   constructor() {
+    this._abortController = new AbortController()
+    this.signal = this._abortController.signal
     this.stream = new ReadableStream({
-      start: (controller) => { this._controller = controller }
+      start: (controller) => { this._controller = controller },
+      cancel: () => { this._closed = true }
     })
   }
   forward(rslt) {
-    if (rslt.done)
+    if (this._closed) return
+    if (rslt.done) {
+      this._closed = true
       this._controller.close()
+    }
     else
       this._controller.enqueue(rslt.value)
   }
+  abort(reason) {
+    if (!this.signal.aborted) this._abortController.abort(reason)
+    if (!this._closed) {
+      this._closed = true
+      this._controller.error(reason)
+    }
+  }
 }
 
 class EventForwarder {
@@ -41,13 +73,52 @@ class EventForwarder {
  * *   data source URL
  * *   data request query parameters
  * *   serialization object
+ * *   other configuration options (function-valued options, such as a
+ *     `prepareRequest` hook, by identity rather than by source)
+ *
+ * Events dispatched by a shared data loader to its activity target
+ * (activity and load events) are forwarded to each element
+ * referencing the loader. Elements referencing a loader that has
+ * already loaded its data receive the data (through their processors)
+ * and a `data-loaded` event with a `catchup` property of true.
+ *
+ * Each processor reads its own copy of the loader's data stream, and
+ * is passed its own abort signal. When a load is aborted (or the loader
+ * is destroyed), every processor's stream errors and its signal is
+ * signalled; when a reference is removed during a load, only the
+ * dereferenced processor's stream and signal are aborted.
+ *
+ * Data loaders configured to persist their data use the configuration
+ * hash as their cache key (unless a `cacheKey` is configured), so that
+ * persisted data is restored by the loader with the same
+ * configuration. Since function identities don't persist, loaders with
+ * function-valued options must be configured with a `cacheKey` to
+ * persist their data (see `StreamedDataLoader`).
+ *
+ * Catching up late-joining elements passes every loaded data object to
+ * their processors; if the `timeSlice` option is specified, this is
+ * done in time slices (see `TimeSlicer`), yielding to the event loop
+ * between slices. A load starting during a catch-up waits for it to
+ * complete; a processor dereferenced during its catch-up has its stream
+ * and signal aborted.
+ *
+ * @param {Object} options - (optional) configuration options:
+ * *   `timeSlice` **Object** - time slice limits for catching up
  */
 class SharedDataLoaders {
 
-  constructor() {
+  constructor(options) {
+    this._config = {...options}
     this._dataLoaders = new Map()
   }
 
+  /** Changes configuration options.
+   * @param {Object} options - configuration options (see above)
+   */
+  configure(options) {
+    Object.assign(this._config, options)
+  }
+
   /** Adds data loader reference.
    * If shared data loader matching the required configuration is
    * already defined, refer to it; otherwise, create a new shared data
@@ -63,12 +134,14 @@ class SharedDataLoaders {
   referenceDataLoader(Subclass, config, processor, target) {
     let loaders = this._dataLoaders.get(Subclass)
     if (!loaders) this._dataLoaders.set(Subclass, loaders = new Map())
-    let hash = objectHash(config),
+    let hash = configHash(config),
         spec = loaders.get(hash)
     if (!spec) {
       spec = {config, processors: new Set(), targets: new Map(),
-        objects: new Map(), state: '', catchups: new Set() }
+        objects: new Map(), state: '', catchups: new Map() }
       spec.loader = new Subclass({...config,
+        cacheKey: config.cacheKey ||
+          ((config.persist && !Object.values(config).some(value => typeof value === 'function')) ? hash : undefined),
         processor: this._sharedProcessor.bind(this, spec),
         activityTarget: new EventForwarder(spec) })
       loaders.set(hash, spec)
@@ -80,7 +153,7 @@ class SharedDataLoaders {
       ref.count += 1
     }
     if (spec.state) {
-      spec.catchups.add(processor)
+      spec.catchups.set(processor, target)
       if (spec.state === 'loaded') this._delayedCatchup(spec)
     }
     return spec.loader
@@ -111,7 +184,17 @@ class SharedDataLoaders {
             if (ref.count === 0) spec.targets.delete(target)
           }
         }
+        // abort the processor's load and catch-up streams
+        spec.catchups.delete(processor)
+        for (let forwarders of [spec.forwarders, spec.catchupForwarders]) {
+          let fwd = forwarders && forwarders.get(processor)
+          if (fwd) {
+            forwarders.delete(processor)
+            fwd.abort(new DataRequestError('Data loader dereferenced', {aborted: true, retryable: false}))
+          }
+        }
         if (spec.processors.size === 0) {
+          if (spec._catchupId) clearTimeout(spec._catchupId)
           if (spec.loader.destroy) spec.loader.destroy()
           loaders.delete(hash)
         }
@@ -120,56 +203,115 @@ class SharedDataLoaders {
     return deleted
   }
 
-  async _sharedProcessor(spec, stream, header) {
+  async _sharedProcessor(spec, stream, header, options) {
+    // a running catch-up completes first, so that no processor reads
+    //   two streams at once
+    if (spec.catchup) await spec.catchup
+    let previousState = spec.state,
+        forwarders = new Map(),
+        rows = []
     spec.state = 'loading'
-    spec.header = header
-    if (!header.update) spec.objects.clear()
-    let forwarders = []
     for (let processor of spec.processors) {
       let fwd = new StreamForwarder()
-      forwarders.push(fwd)
-      processor(fwd.stream, header)
+      forwarders.set(processor, fwd)
+      Promise.resolve(processor(fwd.stream, header, {signal: fwd.signal}))
+        .catch(error => {
+          if (!fwd.signal.aborted) console.log('shared data loader processor failed: ' + error.message)
+        })
     }
-    let reader = stream.getReader(), rslt
-    for (;;) {
-      rslt = await reader.read()
-      for (let fwd of forwarders)
-        fwd.forward(rslt)
-      if (rslt.done) break
-      let [key, obj] = rslt.value
-      if (obj) spec.objects.set(key, obj); else delete spec.objects.delete(key)
+    spec.forwarders = forwarders
+    const abort = (reason) => {
+      for (let fwd of forwarders.values()) fwd.abort(reason)
+    }
+    let signal = options && options.signal
+    if (signal) signal.addEventListener('abort', () => abort(signal.reason))
+    // shared objects are updated once the stream is read in its
+    //   entirety, so that an aborted load leaves them unchanged
+    try {
+      let reader = stream.getReader(), rslt
+      for (;;) {
+        rslt = await reader.read()
+        for (let fwd of forwarders.values())
+          fwd.forward(rslt)
+        if (rslt.done) break
+        rows.push(rslt.value)
+      }
     }
+    catch (error) {
+      abort(error)
+      spec.state = previousState
+      if ((spec.state === 'loaded') && (spec.catchups.size > 0)) this._delayedCatchup(spec)
+      throw error
+    }
+    finally {
+      spec.forwarders = undefined
+    }
+    spec.header = header
+    if (!header.update) spec.objects.clear()
+    for (let [key, obj] of rows)
+      if (obj) spec.objects.set(key, obj); else spec.objects.delete(key)
     spec.state = 'loaded'
     if (spec.catchups.size > 0) this._delayedCatchup(spec)
   }
 
+  // catches up pending processors, once any running catch-up completes
   _delayedCatchup(spec) {
+    if (spec._catchupId || spec.catchup) return
     spec._catchupId = setTimeout(() => {
       delete spec._catchupId
       if (spec.state === 'loaded') {
 console.log('YAY, CATCHUPS!')
-        this._catchupProcessor(spec)
+        let catchup = spec.catchup = this._catchupProcessor(spec)
+          .catch(error => console.log('shared data loader catch-up failed: ' + error.message))
+          .then(() => {
+            if (spec.catchup === catchup) spec.catchup = undefined
+            if ((spec.state === 'loaded') && (spec.catchups.size > 0)) this._delayedCatchup(spec)
+          })
       }
     }, 0)
   }
 
-  _catchupProcessor(spec) {
-    let forwarders = []
-    for (let processor of spec.catchups) {
+  // the forwarders of a catch-up are held in `spec.catchupForwarders`,
+  //   so that dereferenced processors are aborted
+  async _catchupProcessor(spec) {
+    let forwarders = spec.catchupForwarders = new Map(), targets = new Set(),
+        header = {...spec.header, update: false},
+        objects = Array.from(spec.objects),
+        slicer = TimeSlicer.create(this._config.timeSlice)
+    for (let [processor, target] of spec.catchups) {
       let fwd = new StreamForwarder()
-      forwarders.push(fwd)
-      processor(fwd.stream, spec.header)
+      forwarders.set(processor, fwd)
+      Promise.resolve(processor(fwd.stream, header, {signal: fwd.signal}))
+        .catch(error => {
+          if (!fwd.signal.aborted) console.log('shared data loader processor failed: ' + error.message)
+        })
+      if (target) targets.add(target)
     }
     spec.catchups.clear()
-    let rslt
-    for (let value of spec.objects) {
-      rslt = {done: false, value}
-      for (let fwd of forwarders)
+    try {
+      let rslt
+      for (let value of objects) {
+        if (forwarders.size === 0) return // all dereferenced
+        rslt = {done: false, value}
+        for (let fwd of forwarders.values())
+          fwd.forward(rslt)
+        let pause = slicer && slicer.tick()
+        if (pause) await pause
+      }
+      rslt = {done: true}
+      for (let fwd of forwarders.values())
         fwd.forward(rslt)
     }
-    rslt = {done: true}
-    for (let fwd of forwarders)
-      fwd.forward(rslt)
+    finally {
+      spec.catchupForwarders = undefined
+    }
+    // late-joining targets missed the loader's load event
+    for (let target of targets) {
+      if (!spec.targets.has(target)) continue
+      let count = objects.length,
+          detail = {name: spec.config.name || 'data', header, count, received: count, update: false, catchup: true}
+      target.dispatchEvent(new CustomEvent('data-loaded', {bubbles: true, composed: true, detail}))
+    }
   }
 
 }
@@ -1,59 +1,161 @@
 'use strict'
 
-let sharedEventSources = {}
+import StatusTransport from './StatusTransport.js'
+
+// EventSource readyState values (EventSource.CONNECTING and so on)
+const connectingReadyState = 0
+const closedReadyState = 2
 
 /** Shared EventSource objects.
+ * A status transport (see `StatusTransport`) delivering status events
+ * as server-sent events: each status event is an `EventSource` event
+ * named by the status event name. Instances are shared, and reference
+ * counted by their listeners, as described for `StatusTransport`.
+ *
+ * #### Resuming after reconnection
+ *
+ * If status events have IDs, a reconnected event source resumes from
+ * the last event received: the browser sends the `Last-Event-ID`
+ * request header when it reconnects, and when the event source itself
+ * reconnects (see below), the ID is sent as a query parameter (named
+ * by the `lastEventIdParam` option). The server is expected to replay
+ * the events missed while disconnected, so that only the listeners
+ * whose dependencies changed make requests. If the server can't replay
+ * the missed events, it sends a history-unavailable event (named by
+ * the `historyUnavailableEvent` option), and each listener is then
+ * dispatched a status event with a `superseded` timestamp for the
+ * `reopen` pseudo-dependency, which prompts it to request any changes.
+ * Without event IDs, this reopen event is dispatched whenever the event
+ * source reconnects.
+ *
+ * #### Reconnection
+ *
+ * While the browser is reconnecting (after a network error, say), the
+ * connection state is `disconnected`. If the browser gives up on the
+ * connection (the `EventSource` closes, as it does for unsuccessful
+ * responses), the event source reconnects in its stead, according to
+ * the `reconnectPolicy` option.
+ *
+ * If an `idleTimeout` is configured, the server should send a
+ * heartbeat event (named by the `heartbeatEvent` option) more
+ * frequently than the timeout.
+ *
+ * @param {string} url - event source URL
+ * @param {Object} options - (optional) configuration options:
+ * *   `withCredentials` **boolean** - `EventSource` credentials option;
+ *     default is true
+ * *   `deferWhileHidden` **boolean** - if true (the default), defer
+ *     events while the page is hidden
+ * *   `reconnectPolicy` **Object** - reconnection policy (see
+ *     `StatusTransport`)
+ * *   `idleTimeout` **integer** - idle timeout, in milliseconds; 0 (the
+ *     default) for none
+ * *   `heartbeatEvent` **string** - heartbeat event name; default is
+ *     `heartbeat`
+ * *   `lastEventIdParam` **string** - name of the query parameter for
+ *     the last event ID; default is `lastEventId`
+ * *   `historyUnavailableEvent` **string** - history-unavailable event
+ *     name; default is `history-unavailable`
+ * @extends StatusTransport
  */
-class SharedEventSource {
+class SharedEventSource extends StatusTransport {
 
-  constructor(url, options) {
-    options = Object.assign({withCredentials: true}, options)
-    if (sharedEventSources[url]) return sharedEventSources[url]
-    sharedEventSources[url] = this
-    this.__eventSource = new EventSource(url, options)
-    this._eventListeners = {}
-    this._open = false
-    this.__eventSource.addEventListener('open', this._openListener.bind(this))
+  static get defaultOptions() {
+    return {withCredentials: true, heartbeatEvent: 'heartbeat', lastEventIdParam: 'lastEventId',
+      historyUnavailableEvent: 'history-unavailable'}
   }
 
   get eventSource() {
     return this.__eventSource
   }
 
-  /** Adds event listener, disallowing multiple listeners.
-   * @param {string} event - event name
-   * @param {Function} listener - event listener
-   */
-  addListener(event, listener) {
-    if (!this._eventListeners[event]) this._eventListeners[event] = new Set()
-    if (this._eventListeners[event].has(listener))
-      throw new Error(`attempt to add status event listener when already assigned (${event})`)
-    this._eventListeners[event].add(listener)
-    this.__eventSource.addEventListener(event, listener)
+  close() {
+    if (this.closed) return
+    super.close()
+    this.__eventSource = undefined
+    this._eventDispatchers = {}
   }
 
-  /** Removes event listener.
-   * @param {string} event - event name
-   * @param {Function} listener - event listener
-   */
-  removeListener(event, listener) {
-    if (!this._eventListeners[event] || !this._eventListeners[event].has(listener))
-      throw new Error(`attempt to remove status event listener when not assigned (${event})`)
-    this.__eventSource.removeEventListener(event, listener)
-    this._eventListeners[event].delete(listener)
-    if (this._eventListeners[event].size === 0) delete this._eventListeners[event]
+  _initialize() {
+    this._eventDispatchers = {}
+    this._boundOpenListener = this._openListener.bind(this)
+    this._boundErrorListener = this._errorListener.bind(this)
+    this._boundHeartbeatListener = this._eventReceived.bind(this)
+    this._boundHistoryUnavailableListener = this._historyUnavailableListener.bind(this)
   }
 
-  _openListener(e) {
-    if (this._open) {
-      // reopen event; kick event listeners
-      let data = JSON.stringify({superseded: {reopen: 1}})
-      for (let event in this._eventListeners) {
-        let reopenEvent = new MessageEvent(event, {data})
-        this.__eventSource.dispatchEvent(reopenEvent)
-      }
+  _connect() {
+    this._lastEventId = undefined
+    super._connect()
+  }
+
+  _openConnection() {
+    let url = this._url
+    if (this._lastEventId && this._options.lastEventIdParam) {
+      url = new URL(url, document.location)
+      url.searchParams.set(this._options.lastEventIdParam, this._lastEventId)
     }
-    this._open = true
+    let eventSource = this.__eventSource = new EventSource(url, {withCredentials: this._options.withCredentials})
+    eventSource.addEventListener('open', this._boundOpenListener)
+    eventSource.addEventListener('error', this._boundErrorListener)
+    eventSource.addEventListener('message', this._boundHeartbeatListener)
+    eventSource.addEventListener(this._options.heartbeatEvent, this._boundHeartbeatListener)
+    eventSource.addEventListener(this._options.historyUnavailableEvent, this._boundHistoryUnavailableListener)
+    for (let event in this._eventDispatchers)
+      eventSource.addEventListener(event, this._eventDispatchers[event])
+    super._openConnection()
+  }
+
+  _closeConnection() {
+    let eventSource = this.__eventSource
+    eventSource.removeEventListener('open', this._boundOpenListener)
+    eventSource.removeEventListener('error', this._boundErrorListener)
+    eventSource.removeEventListener('message', this._boundHeartbeatListener)
+    eventSource.removeEventListener(this._options.heartbeatEvent, this._boundHeartbeatListener)
+    eventSource.removeEventListener(this._options.historyUnavailableEvent, this._boundHistoryUnavailableListener)
+    for (let event in this._eventDispatchers)
+      eventSource.removeEventListener(event, this._eventDispatchers[event])
+    eventSource.close()
+  }
+
+  _subscribe(event) {
+    this._eventDispatchers[event] = (e) => {
+      this._eventReceived(e)
+      this._dispatch(event, e)
+    }
+    this.__eventSource.addEventListener(event, this._eventDispatchers[event])
+  }
+
+  _unsubscribe(event) {
+    this.__eventSource.removeEventListener(event, this._eventDispatchers[event])
+    delete this._eventDispatchers[event]
+  }
+
+  get _resumable() {
+    return !!this._lastEventId
+  }
+
+  _openListener(e) {
+    this._connectionOpened()
+  }
+
+  _eventReceived(e) {
+    if (e && e.lastEventId) this._lastEventId = e.lastEventId
+    super._eventReceived(e)
+  }
+
+  // the server couldn't replay the events since the last event ID
+  _historyUnavailableListener(e) {
+    this._eventReceived(e)
+    this._kickListeners()
+  }
+
+  _errorListener(e) {
+    this._clearIdleTimeout()
+    if (this.__eventSource.readyState === closedReadyState)
+      this._connectionLost()
+    else if (this.__eventSource.readyState === connectingReadyState)
+      this._setState('disconnected') // the browser is reconnecting
   }
 
 }
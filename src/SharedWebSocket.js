@@ -0,0 +1,125 @@
+'use strict'
+
+import StatusTransport from './StatusTransport.js'
+
+/** Shared WebSocket objects.
+ * A status transport (see `StatusTransport`) delivering status events
+ * over a `WebSocket`, for deployments where server-sent events are
+ * impractical (behind proxies that buffer responses, say). Instances
+ * are shared, and reference counted by their listeners, as described
+ * for `StatusTransport`.
+ *
+ * Messages are JSON-encoded objects. The client subscribes to status
+ * events by name, sending these messages:
+ * *   `{"type": "subscribe", "event": <event name>}` - when the first
+ *     listener for an event is added, and for each event when the
+ *     socket is (re)opened
+ * *   `{"type": "unsubscribe", "event": <event name>}` - when the last
+ *     listener for an event is removed
+ *
+ * The server sends these messages:
+ * *   `{"type": "status", "event": <event name>, "data": <status>}` -
+ *     a status event; `data` is the status object (with a
+ *     `superseded` property) that listeners receive, JSON-encoded, as
+ *     the event `data`
+ * *   `{"type": "heartbeat"}` - a heartbeat (see the `idleTimeout`
+ *     option)
+ *
+ * Status event sources are usually configured with `http:` or `https:`
+ * URLs; these are converted to `ws:` and `wss:` URLs, respectively.
+ *
+ * A socket that closes (for whatever reason) is reopened according to
+ * the `reconnectPolicy` option. Events aren't replayed on reconnection,
+ * so each listener is dispatched a reopen event (see
+ * `StatusTransport`).
+ *
+ * @param {string} url - WebSocket URL
+ * @param {Object} options - (optional) configuration options:
+ * *   `protocols` **string|Array** - WebSocket subprotocols
+ * *   `deferWhileHidden` **boolean** - if true (the default), defer
+ *     events while the page is hidden
+ * *   `reconnectPolicy` **Object** - reconnection policy (see
+ *     `StatusTransport`)
+ * *   `idleTimeout` **integer** - idle timeout, in milliseconds; 0 (the
+ *     default) for none
+ * @extends StatusTransport
+ */
+class SharedWebSocket extends StatusTransport {
+
+  get webSocket() {
+    return this.__webSocket
+  }
+
+  close() {
+    if (this.closed) return
+    super.close()
+    this.__webSocket = undefined
+  }
+
+  _initialize() {
+    this._boundOpenListener = this._openListener.bind(this)
+    this._boundCloseListener = this._closeListener.bind(this)
+    this._boundMessageListener = this._messageListener.bind(this)
+  }
+
+  _openConnection() {
+    let url = new URL(this._url, document.location)
+    if (url.protocol === 'http:') url.protocol = 'ws:'
+    else if (url.protocol === 'https:') url.protocol = 'wss:'
+    let webSocket = this.__webSocket = new WebSocket(url, this._options.protocols)
+    webSocket.addEventListener('open', this._boundOpenListener)
+    webSocket.addEventListener('close', this._boundCloseListener)
+    webSocket.addEventListener('message', this._boundMessageListener)
+    super._openConnection()
+  }
+
+  _closeConnection() {
+    let webSocket = this.__webSocket
+    webSocket.removeEventListener('open', this._boundOpenListener)
+    webSocket.removeEventListener('close', this._boundCloseListener)
+    webSocket.removeEventListener('message', this._boundMessageListener)
+    webSocket.close()
+  }
+
+  _subscribe(event) {
+    this._send({type: 'subscribe', event})
+  }
+
+  _unsubscribe(event) {
+    this._send({type: 'unsubscribe', event})
+  }
+
+  // sends a message, if the socket is open (subscriptions are sent
+  //   when the socket opens)
+  _send(message) {
+    if (this.__webSocket.readyState === WebSocket.OPEN)
+      this.__webSocket.send(JSON.stringify(message))
+  }
+
+  _openListener(e) {
+    for (let event in this._eventListeners)
+      this._subscribe(event)
+    this._connectionOpened()
+  }
+
+  _closeListener(e) {
+    this._connectionLost()
+  }
+
+  _messageListener(e) {
+    let message
+    try {
+      message = JSON.parse(e.data)
+    }
+    catch (error) {
+      console.log(`shared web socket received invalid message (${this._url})`)
+      return
+    }
+    this._eventReceived(e)
+    if ((message.type === 'status') && message.event)
+      this._dispatch(message.event, new MessageEvent(message.event, {data: JSON.stringify(message.data || {})}))
+  }
+
+}
+
+export {SharedWebSocket as default}
@@ -0,0 +1,370 @@
+'use strict'
+
+import objectHash from 'object-hash'
+
+// shared instances of each transport class, by key
+let sharedTransports = new Map()
+
+const defaultReconnectPolicy = {
+  delay: 1000,
+  maxDelay: 60 * 1000,
+  factor: 2,
+  jitter: 0.5,
+  maxAttempts: 0
+}
+
+// merges status event data (a JSON string) into previously merged
+//   data, retaining the latest superseded timestamp of each dependency
+function mergeStatusData(merged, data) {
+  let status
+  try {
+    status = JSON.parse(data)
+  }
+  catch (error) {
+    return merged
+  }
+  if (!merged) return status
+  let superseded = {...merged.superseded}
+  for (let [name, timestamp] of Object.entries(status.superseded || {}))
+    if (!(superseded[name] >= timestamp)) superseded[name] = timestamp
+  return {...merged, ...status, superseded}
+}
+
+/** Status transport.
+ * Base class of the transports that deliver status events (see
+ * `UpdatingDataLoaderMixin`): `SharedEventSource` (server-sent events)
+ * and `SharedWebSocket`. A transport delivers named status events to
+ * listeners; each event is a `MessageEvent` whose `data` is a JSON
+ * string encoding an object with a `superseded` property, an object
+ * containing the latest change timestamp of each changed dependency.
+ *
+ * Instances are shared by class, URL and options: constructing an
+ * instance with the same URL and options as an open instance returns
+ * the open instance. The underlying connection is reference counted by
+ * its listeners; it is closed, and the instance forgotten, when the
+ * last listener is removed (or when `close()` is called). Adding a
+ * listener to a closed instance reopens it.
+ *
+ * Status events received while the page is hidden are not dispatched
+ * to listeners immediately. Instead, the events for each event name
+ * are merged (retaining the latest `superseded` timestamp for each
+ * dependency), and a single event is dispatched when the page becomes
+ * visible, so that listeners make one catch-up request rather than one
+ * per change. (Set the `deferWhileHidden` option false to dispatch
+ * events regardless.)
+ *
+ * When a connection is reopened, events may have been missed; unless
+ * the transport can resume from the last event received, each listener
+ * is dispatched a status event with a `superseded` timestamp for the
+ * `reopen` pseudo-dependency, which prompts it to request any changes.
+ *
+ * #### Connection state
+ *
+ * The `connectionState` property reports the state of the connection:
+ * *   `connecting` - the connection is being opened
+ * *   `open` - the connection is open
+ * *   `disconnected` - the connection was lost, and is being reopened
+ * *   `failed` - reconnection attempts have been abandoned
+ * *   `closed` - the transport has been closed (see `close()`)
+ *
+ * State listeners (see `addStateListener()`) are invoked with a
+ * `CustomEvent` whose type is the new state and whose `detail` contains
+ * the transport `url`, the `state`, and the count of reconnection
+ * `attempts`.
+ *
+ * Lost connections are reopened after a delay governed by the
+ * `reconnectPolicy` option (an object with the same properties as the
+ * `StreamedDataLoader` `retryPolicy`: `delay`, `maxDelay`, `factor`,
+ * `jitter` and `maxAttempts`). When the policy's `maxAttempts` is
+ * exhausted, the state becomes `failed`. A lost or failed connection is
+ * reopened when the network returns.
+ *
+ * If an `idleTimeout` is configured, the connection is presumed dead,
+ * and is reopened, when nothing has been received for the duration of
+ * the timeout. The server should send heartbeats more frequently than
+ * the timeout.
+ *
+ * #### Implementing transports
+ *
+ * Subclasses implement `_openConnection()` and `_closeConnection()`
+ * (and, to set up new instances, `_initialize()`), and, if the
+ * connection carries subscriptions, `_subscribe(event)` and
+ * `_unsubscribe(event)`. They report connection events with
+ * `_connectionOpened()`, `_connectionLost()` and `_eventReceived()`,
+ * and dispatch status events with `_dispatch(event, e)`. Default
+ * options are supplied by the static `defaultOptions` getter.
+ *
+ * @param {string} url - connection URL
+ * @param {Object} options - (optional) configuration options:
+ * *   `deferWhileHidden` **boolean** - if true (the default), defer
+ *     events while the page is hidden
+ * *   `reconnectPolicy` **Object** - reconnection policy (see above);
+ *     default delay is 1 second, maximum delay is 1 minute
+ * *   `idleTimeout` **integer** - idle timeout, in milliseconds; 0 (the
+ *     default) for none
+ */
+class StatusTransport {
+
+  constructor(url, options) {
+    options = {deferWhileHidden: true, idleTimeout: 0, ...this.constructor.defaultOptions, ...options}
+    let key = objectHash({url: String(url), options})
+    if (!sharedTransports.has(this.constructor)) sharedTransports.set(this.constructor, new Map())
+    let shared = sharedTransports.get(this.constructor)
+    if (shared.has(key)) return shared.get(key)
+    this._shared = shared
+    this._key = key
+    this._url = url
+    this._options = {...options, reconnectPolicy: {...defaultReconnectPolicy, ...options.reconnectPolicy}}
+    this._eventListeners = {}
+    this._stateListeners = new Set()
+    this._connected = false
+    this.connectionState = 'closed'
+    this._reconnectAttempts = 0
+    this._boundVisibilityListener = this._visibilityListener.bind(this)
+    this._boundOnlineListener = this._onlineListener.bind(this)
+    this._initialize()
+    this._connect()
+  }
+
+  /** Default configuration options of the transport class.
+   * @type {Object}
+   */
+  static get defaultOptions() {
+    return {}
+  }
+
+  /** True if closed (see `close()`).
+   * @type {boolean}
+   */
+  get closed() {
+    return !this._connected
+  }
+
+  /** Closes the transport.
+   * All listeners are removed, and the instance is forgotten (so that
+   * subsequently constructed instances open a new connection).
+   */
+  close() {
+    if (this.closed) return
+    this._clearTimers()
+    this._closeConnection()
+    this._connected = false
+    this._eventListeners = {}
+    this._missedEvents = {}
+    this._setState('closed')
+    this._stateListeners.clear()
+    document.removeEventListener('visibilitychange', this._boundVisibilityListener)
+    window.removeEventListener('online', this._boundOnlineListener)
+    if (this._shared.get(this._key) === this) this._shared.delete(this._key)
+  }
+
+  /** Closes the transport (equivalent to `close()`).
+   */
+  destroy() {
+    this.close()
+  }
+
+  /** Adds connection state listener.
+   * State listeners don't keep the transport open.
+   * @param {Function} listener - state listener
+   */
+  addStateListener(listener) {
+    this._stateListeners.add(listener)
+  }
+
+  /** Removes connection state listener.
+   * @param {Function} listener - state listener
+   */
+  removeStateListener(listener) {
+    this._stateListeners.delete(listener)
+  }
+
+  /** Adds event listener, disallowing multiple listeners.
+   * @param {string} event - event name
+   * @param {Function} listener - event listener
+   */
+  addListener(event, listener) {
+    if (this.closed) this._connect()
+    if (!this._eventListeners[event]) {
+      this._eventListeners[event] = new Set()
+      this._subscribe(event)
+    }
+    if (this._eventListeners[event].has(listener))
+      throw new Error(`attempt to add status event listener when already assigned (${event})`)
+    this._eventListeners[event].add(listener)
+  }
+
+  /** Removes event listener.
+   * The transport is closed when its last listener is removed.
+   * (Removing a listener from a closed instance has no effect.)
+   * @param {string} event - event name
+   * @param {Function} listener - event listener
+   */
+  removeListener(event, listener) {
+    if (this.closed) return
+    if (!this._eventListeners[event] || !this._eventListeners[event].has(listener))
+      throw new Error(`attempt to remove status event listener when not assigned (${event})`)
+    this._eventListeners[event].delete(listener)
+    if (this._eventListeners[event].size === 0) {
+      this._unsubscribe(event)
+      delete this._eventListeners[event]
+      delete this._missedEvents[event]
+      if (Object.keys(this._eventListeners).length === 0) this.close()
+    }
+  }
+
+  // opens the connection, making the instance available for sharing
+  _connect() {
+    if (!this._shared.has(this._key)) this._shared.set(this._key, this)
+    this._connected = true
+    this._missedEvents = {}
+    this._open = false
+    this._reconnectAttempts = 0
+    this._openConnection()
+    document.addEventListener('visibilitychange', this._boundVisibilityListener)
+    window.addEventListener('online', this._boundOnlineListener)
+  }
+
+  // initializes a new instance (implemented by subclasses)
+  _initialize() {
+  }
+
+  // opens the underlying connection (implemented by subclasses)
+  _openConnection() {
+    this._setState('connecting')
+  }
+
+  // closes the underlying connection (implemented by subclasses)
+  _closeConnection() {
+  }
+
+  // starts delivery of an event (implemented by subclasses)
+  _subscribe(event) {
+  }
+
+  // stops delivery of an event (implemented by subclasses)
+  _unsubscribe(event) {
+  }
+
+  // true if the connection resumes from the last event received
+  //   (implemented by subclasses)
+  get _resumable() {
+    return false
+  }
+
+  // replaces the underlying connection with a new one
+  _reconnect() {
+    this._clearTimers()
+    this._closeConnection()
+    this._openConnection()
+  }
+
+  _setState(state) {
+    if (state === this.connectionState) return
+    this.connectionState = state
+    let detail = {url: String(this._url), state, attempts: this._reconnectAttempts}
+    for (let listener of Array.from(this._stateListeners))
+      listener(new CustomEvent(state, {detail}))
+  }
+
+  // dispatches an event to its listeners, or merges it with other
+  //   events missed while the page is hidden
+  _dispatch(event, e) {
+    if (this._options.deferWhileHidden && document.hidden) {
+      this._missedEvents[event] = mergeStatusData(this._missedEvents[event], e.data)
+      return
+    }
+    for (let listener of Array.from(this._eventListeners[event] || []))
+      listener(e)
+  }
+
+  // records the opening of the connection
+  _connectionOpened() {
+    this._reconnectAttempts = 0
+    this._setState('open')
+    this._resetIdleTimeout()
+    // without an event from which to resume, kick event listeners
+    if (this._open && !this._resumable) this._kickListeners()
+    this._open = true
+  }
+
+  // records receipt of an event (including heartbeats)
+  _eventReceived(e) {
+    this._resetIdleTimeout()
+  }
+
+  // dispatches a reopen event to all event listeners
+  _kickListeners() {
+    let data = JSON.stringify({superseded: {reopen: 1}})
+    for (let event in this._eventListeners)
+      this._dispatch(event, new MessageEvent(event, {data}))
+  }
+
+  _visibilityListener() {
+    if (document.hidden) return
+    let missed = this._missedEvents
+    this._missedEvents = {}
+    for (let event in missed) {
+      if (missed[event])
+        this._dispatch(event, new MessageEvent(event, {data: JSON.stringify(missed[event])}))
+    }
+  }
+
+  // reconnects after a delay determined by the reconnect policy
+  _connectionLost() {
+    let policy = this._options.reconnectPolicy
+    this._clearTimers()
+    this._reconnectAttempts += 1
+    if ((policy.maxAttempts > 0) && (this._reconnectAttempts > policy.maxAttempts)) {
+      console.log(`status connection failed (${this._url})`)
+      this._setState('failed')
+      return
+    }
+    let delay = Math.min(policy.maxDelay, policy.delay * Math.pow(policy.factor, this._reconnectAttempts - 1))
+    delay *= 1 - policy.jitter * Math.random()
+    this._setState('disconnected')
+    this._reconnectId = setTimeout(() => {
+      delete this._reconnectId
+      this._reconnect()
+    }, delay)
+  }
+
+  // reopens a lost (or failed) connection when the network returns
+  _onlineListener() {
+    if (this._reconnectId || (this.connectionState === 'failed')) {
+      this._reconnectAttempts = 0
+      this._reconnect()
+    }
+  }
+
+  _resetIdleTimeout() {
+    let idleTimeout = this._options.idleTimeout
+    if (idleTimeout > 0) {
+      this._clearIdleTimeout()
+      this._idleTimeoutId = setTimeout(() => {
+        delete this._idleTimeoutId
+        console.log(`status connection idle for ${idleTimeout} ms, reconnecting (${this._url})`)
+        this._setState('disconnected')
+        this._reconnect()
+      }, idleTimeout)
+    }
+  }
+
+  _clearIdleTimeout() {
+    if (this._idleTimeoutId) {
+      clearTimeout(this._idleTimeoutId)
+      delete this._idleTimeoutId
+    }
+  }
+
+  _clearTimers() {
+    this._clearIdleTimeout()
+    if (this._reconnectId) {
+      clearTimeout(this._reconnectId)
+      delete this._reconnectId
+    }
+  }
+
+}
+
+export {StatusTransport as default, mergeStatusData}
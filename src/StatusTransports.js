@@ -0,0 +1,45 @@
+'use strict'
+
+import SharedEventSource from './SharedEventSource.js'
+import SharedWebSocket from './SharedWebSocket.js'
+
+/** Status transports.
+ * Transports deliver the status events to which updating data loaders
+ * respond (see `UpdatingDataLoaderMixin`). Transports are registered
+ * by name; a transport is a `StatusTransport` subclass.
+ *
+ * These transports are predefined:
+ * *   `eventsource` - server-sent events (`SharedEventSource`); this is
+ *     the default
+ * *   `websocket` - WebSocket messages (`SharedWebSocket`)
+ */
+class StatusTransports {
+
+  constructor() {
+    this._transports = new Map()
+  }
+
+  /** Registers a status transport.
+   * @param {string} name - transport name
+   * @param {Function} transport - transport class
+   */
+  register(name, transport) {
+    this._transports.set(name, transport)
+  }
+
+  /** Gets a status transport by name.
+   * @param {string} name - transport name
+   * @return {Function} transport class; undefined if not registered
+   */
+  get(name) {
+    return this._transports.get(name)
+  }
+
+}
+
+let statusTransports = new StatusTransports()
+
+statusTransports.register('eventsource', SharedEventSource)
+statusTransports.register('websocket', SharedWebSocket)
+
+export {StatusTransports as default, statusTransports}
@@ -0,0 +1,74 @@
+'use strict'
+
+/* globals scheduler: false */
+
+/** Time slicer for cooperative processing.
+ * Long-running processing loops call `tick()` for each unit of work
+ * (a data row, say); the slicer yields to the event loop once the
+ * current slice has run for `time` milliseconds or processed `rows`
+ * units, so that rendering and user input aren't blocked.
+ *
+ * Yielding uses `scheduler.yield()` where available (so that the loop
+ * resumes ahead of other queued tasks), otherwise
+ * `requestIdleCallback()` (with a timeout, so that the loop isn't
+ * starved), otherwise `setTimeout()`.
+ *
+ * @param {Object} options - slice limits (a slice ends when either
+ *   limit is reached):
+ * *   `time` **integer** - maximum slice duration, in milliseconds
+ * *   `rows` **integer** - maximum units of work per slice
+ */
+class TimeSlicer {
+
+  constructor(options) {
+    this._config = {...options}
+    this._sliceStart = Date.now()
+    this._sliceRows = 0
+  }
+
+  /** Counts a unit of work, yielding if the slice is complete.
+   * @return {Promise|undefined} if yielding, a promise that resolves
+   *   when processing should resume; otherwise, undefined (so that
+   *   `await` is cheap within a slice)
+   */
+  tick() {
+    this._sliceRows += 1
+    let {time, rows} = this._config
+    if (((rows > 0) && (this._sliceRows >= rows)) || ((time > 0) && (Date.now() - this._sliceStart >= time)))
+      return this.yield()
+  }
+
+  /** Yields to the event loop, starting a new slice.
+   * @return {Promise} resolves when processing should resume
+   */
+  yield() {
+    return TimeSlicer.yieldToEventLoop()
+      .then(() => {
+        this._sliceStart = Date.now()
+        this._sliceRows = 0
+      })
+  }
+
+  /** Yields to the event loop.
+   * @return {Promise} resolves when processing should resume
+   */
+  static yieldToEventLoop() {
+    if ((typeof scheduler !== 'undefined') && scheduler.yield)
+      return scheduler.yield()
+    if (typeof requestIdleCallback !== 'undefined')
+      return new Promise(resolve => requestIdleCallback(resolve, {timeout: 50}))
+    return new Promise(resolve => setTimeout(resolve, 0))
+  }
+
+  /** Creates a slicer, if time slicing is configured.
+   * @param {Object} options - slice limits (see above)
+   * @return {TimeSlicer|undefined} the slicer; undefined if `options`
+   *   is not specified
+   */
+  static create(options) {
+    return options ? new TimeSlicer(options) : undefined
+  }
+
+}
+
+export {TimeSlicer as default}
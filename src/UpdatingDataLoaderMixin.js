@@ -2,13 +2,16 @@
 
 import {dedupeMixin} from '@open-wc/dedupe-mixin'
 
-import SharedEventSource from './SharedEventSource.js'
+import {mergeStatusData} from './StatusTransport.js'
+import {statusTransports} from './StatusTransports.js'
+
+const defaultMaxInlineRows = 1000
 
 
 /** Updating data loader mixin.
- * Listens to an `EventSource` for status events that indicate changes
- * to the data loader's data source and triggers a data request when
- * changes occur.
+ * Listens to a status transport (an `EventSource`, by default) for
+ * status events that indicate changes to the data loader's data source
+ * and triggers a data request when changes occur.
  *
  * It is configured with the URL of the status event source and the
  * status event name. Conventionally, these are derived from the URL of
@@ -24,9 +27,79 @@ import SharedEventSource from './SharedEventSource.js'
  * *   `/api/entities:5dcb3cb3b427b70043dfb9bb` - status event name with
  *     a qualifying identifier
  *
+ * Status events received while data is loading are ordinarily held
+ * until the load completes (held events are merged, retaining the
+ * latest `superseded` timestamp for each dependency, so that none of
+ * the changes replayed after a reconnection are lost; see
+ * `SharedEventSource`). If the `abortOnChange` option is set, a
+ * status event reporting changes newer than the data being loaded
+ * aborts an active full (non-update) load, which is restarted, rather
+ * than letting stale data finish loading.
+ *
+ * Status events are delivered by server-sent events unless another
+ * transport is selected with the `statusTransport` option (see
+ * `StatusTransports`); with the `websocket` transport, the status URL
+ * is that of a WebSocket endpoint (see `SharedWebSocket`). Either way,
+ * a status event reports changes with the latest change timestamp
+ * (`superseded`) of each changed dependency.
+ *
+ * #### Inline changes
+ *
+ * A status event may carry the changes it reports, in a `delta`
+ * property, an object with these properties:
+ * *   `rows` **Array** - the changed `[key, object]` data rows (an
+ *     object of null for a removed object)
+ * *   `since` **Object** - dependency timestamps of the data to which
+ *     the changes apply
+ * *   `timestamps` **Object** - dependency timestamps of the data once
+ *     the changes are applied
+ * *   `cutoff` **integer** - (optional) cutoff of the changed data
+ * *   `sequence` **integer** - (optional) sequence number of the
+ *     changes
+ *
+ * The changes are passed to the processor as an update (with a header
+ * `update` property of true), without a data request, if they follow
+ * on from the loaded data: each `since` timestamp must match that of
+ * the loaded data, and the `timestamps` must cover every change the
+ * status event reports. Otherwise (or if there are more than
+ * `maxInlineRows` rows), the loader requests the changes as usual.
+ *
+ * #### Bursts of status events
+ *
+ * A data source changing rapidly (during a bulk import, say) may
+ * produce bursts of status events. Rather than making a request for
+ * each, status-triggered requests may be delayed, with all events
+ * received in the meantime merged (as above):
+ * *   `statusDebounce` - a request is made once no status events have
+ *     been received for this duration
+ * *   `statusMaxWait` - limits the debounce delay; a request is made
+ *     no later than this duration after the first event of a burst
+ * *   `statusThrottle` - status-triggered requests are made no more
+ *     often than this interval
+ *
+ * While the status connection is not open (see `StatusTransport`),
+ * activity events include a `connection` property with the connection
+ * state (`connecting`, `disconnected` or `failed`), so that users may
+ * be told that the data may not be current.
+ *
  * @param {Object} options - configuration options:
  * *   `statusURL` **string** - URL of the status event source
  * *   `statusEvent` **string** - status event name
+ * *   `statusTransport` **string** - name of the status transport;
+ *     default is `eventsource`
+ * *   `statusOptions` **Object** - options of the status transport
+ *     (such as `idleTimeout` and `reconnectPolicy`; see
+ *     `StatusTransport` and the transport classes)
+ * *   `abortOnChange` **boolean** - if true, abort and restart an
+ *     active full load when newer changes are reported
+ * *   `maxInlineRows` **integer** - maximum count of inline changes
+ *     processed without a request (see above); default is 1000
+ * *   `statusDebounce` **integer** - status debounce delay, in
+ *     milliseconds (see above); default is 0 (none)
+ * *   `statusMaxWait` **integer** - maximum debounce delay, in
+ *     milliseconds; default is 0 (unlimited)
+ * *   `statusThrottle` **integer** - minimum interval between
+ *     status-triggered requests, in milliseconds; default is 0 (none)
  */
 const UpdatingDataLoaderMixin = dedupeMixin((base) => class extends base {
 
@@ -34,16 +107,23 @@ const UpdatingDataLoaderMixin = dedupeMixin((base) => class extends base {
     super(options)
     if (this._config.statusURL && this._config.statusEvent) {
       let url = new URL(this._config.statusURL, new URL(this._config.url, document.location)),
-          event = this._config.statusEvent
-      this._statusEventSource = new SharedEventSource(url)
+          event = this._config.statusEvent,
+          name = this._config.statusTransport || 'eventsource',
+          Transport = statusTransports.get(name)
+      if (!Transport) throw new Error(`unknown status transport (${name})`)
+      this._statusTransport = new Transport(url, this._config.statusOptions)
       this._boundStatusEventListener = this._statusEventListener.bind(this)
-      this._statusEventSource.addListener(event, this._boundStatusEventListener)
+      this._boundConnectionStateListener = this._connectionStateListener.bind(this)
+      this._statusTransport.addListener(event, this._boundStatusEventListener)
+      this._statusTransport.addStateListener(this._boundConnectionStateListener)
+      this._connectionStateListener()
       this._timestamps = {}
       this._cutoff = 0
     }
   }
 
   destroy() {
+    this._clearStatusWait()
     delete this._statusEventData
     this._removeStatusEventListener()
     super.destroy()
@@ -55,32 +135,104 @@ const UpdatingDataLoaderMixin = dedupeMixin((base) => class extends base {
   }
 
   _statusEventListener(e) {
-    this._statusEventData = JSON.parse(e.data)
-    this._queueDataRequestIfChanges()
+    this._statusEventData = mergeStatusData(this._statusEventData, e.data)
+    let {statusDebounce, statusMaxWait, statusThrottle} = this._config
+    if (!(statusDebounce > 0) && !(statusThrottle > 0)) {
+      this._queueDataRequestIfChanges()
+      return
+    }
+    // delay until the debounce (and throttle) windows have passed
+    let now = Date.now(),
+        delay = statusDebounce || 0
+    if (!this._statusBurstStart) this._statusBurstStart = now
+    if (statusMaxWait > 0) delay = Math.min(delay, this._statusBurstStart + statusMaxWait - now)
+    if (statusThrottle > 0) delay = Math.max(delay, (this._statusRequestedAt || 0) + statusThrottle - now)
+    if (this._statusWaitId) clearTimeout(this._statusWaitId)
+    this._statusWaitId = setTimeout(() => {
+      this._clearStatusWait()
+      this._queueDataRequestIfChanges()
+    }, Math.max(0, delay))
+  }
+
+  _clearStatusWait() {
+    if (this._statusWaitId) {
+      clearTimeout(this._statusWaitId)
+      delete this._statusWaitId
+    }
+    delete this._statusBurstStart
   }
 
   _removeStatusEventListener() {
-    if (this._statusEventSource) {
+    if (this._statusTransport) {
       let event = this._config.statusEvent
-      this._statusEventSource.removeListener(event, this._boundStatusEventListener)
+      this._statusTransport.removeStateListener(this._boundConnectionStateListener)
+      this._statusTransport.removeListener(event, this._boundStatusEventListener)
     }
   }
 
+  _connectionStateListener() {
+    let state = this._statusTransport.connectionState
+    this._pooledDataRequest.updateActivityContext((state === 'open') ? {} : {connection: state})
+  }
+
+  _loadStarted(header) {
+    super._loadStarted(header)
+    this._queueDataRequestIfChanges()
+  }
+
   _queueDataRequestIfChanges() {
-    let changed = false
-    if ((this._requestState === 'idle') && this._statusEventData) {
-      let superseded = this._statusEventData.superseded
-      if (superseded) {
-        for (let name in superseded) {
-          if (superseded[name] > (this._timestamps[name] || 0)) {
-            changed = true
-            break
-          }
+    // while waiting out a burst of status events, the wait's end
+    //   queues the request
+    if (!this._statusEventData || this._statusWaitId) return
+    if (this._requestState === 'idle') {
+      let status = this._statusEventData,
+          changed = this._statusChanges(this._timestamps)
+      delete this._statusEventData
+      if (changed) {
+        this._statusRequestedAt = Date.now()
+        if (this._inlineChanges(status)) {
+          let {rows, timestamps, cutoff, sequence} = status.delta
+          this._loadRows({timestamps, cutoff, sequence, inline: true}, rows)
+            .then(processed => {
+              if (!processed) this._delayedDataRequest(0)
+              else this._queueDataRequestIfChanges()
+            })
         }
+        else
+          this._delayedDataRequest(0)
+      }
+    }
+    else if (this._config.abortOnChange && this._loadHeader && !this._loadHeader.update) {
+      // compare with the timestamps of the data being loaded
+      if (this._statusChanges(this._loadHeader.timestamps || {})) {
+        delete this._statusEventData
+        this._supersedeLoad()
       }
-      delete this._statusEventData
     }
-    if (changed) this._delayedDataRequest(0)
+  }
+
+  // determines whether the changes carried by the status event (if
+  //   any) follow on from the loaded data and cover all the reported
+  //   changes
+  _inlineChanges(status) {
+    let delta = status.delta,
+        maxRows = (this._config.maxInlineRows !== undefined) ? this._config.maxInlineRows : defaultMaxInlineRows
+    if (!delta || !Array.isArray(delta.rows) || (delta.rows.length > maxRows) || !delta.since || !delta.timestamps)
+      return false
+    for (let name in delta.since)
+      if (delta.since[name] !== (this._timestamps[name] || 0)) return false
+    for (let name in status.superseded || {})
+      if (!(delta.timestamps[name] >= status.superseded[name])) return false
+    return true
+  }
+
+  // determines whether the status event reports changes newer than
+  //   the given dependency timestamps
+  _statusChanges(timestamps) {
+    let superseded = this._statusEventData.superseded
+    for (let name in superseded || {})
+      if (superseded[name] > (timestamps[name] || 0)) return true
+    return false
   }
 
 })
@@ -92,6 +244,13 @@ const UpdatingDataLoaderElementMixin = dedupeMixin((base) => class extends base
     super()
     this._statusURL = undefined
     this._statusEvent = undefined
+    this.statusTransport = undefined
+    this.statusOptions = undefined
+    this.maxInlineRows = undefined
+    this.statusDebounce = undefined
+    this.statusMaxWait = undefined
+    this.statusThrottle = undefined
+    this.abortOnChange = undefined
   }
 
   static get properties() {
@@ -105,7 +264,44 @@ const UpdatingDataLoaderElementMixin = dedupeMixin((base) => class extends base
        */
       statusEvent: {
         type: String,
-        attribute: 'status-event' }
+        attribute: 'status-event' },
+      /** Status transport name (see `StatusTransports`).
+       */
+      statusTransport: {
+        type: String,
+        attribute: 'status-transport' },
+      /** Status transport options (see `StatusTransport`).
+       */
+      statusOptions: {
+        type: Object,
+        attribute: 'status-options' },
+      /** Maximum count of inline changes processed without a request.
+       */
+      maxInlineRows: {
+        type: Number,
+        attribute: 'max-inline-rows' },
+      /** Status debounce delay, in milliseconds.
+       */
+      statusDebounce: {
+        type: Number,
+        attribute: 'status-debounce' },
+      /** Maximum status debounce delay, in milliseconds.
+       */
+      statusMaxWait: {
+        type: Number,
+        attribute: 'status-max-wait' },
+      /** Minimum interval between status-triggered requests, in
+       * milliseconds.
+       */
+      statusThrottle: {
+        type: Number,
+        attribute: 'status-throttle' },
+      /** If true, a status change aborts and restarts an active full
+       * load (see `UpdatingDataLoaderMixin`).
+       */
+      abortOnChange: {
+        type: Boolean,
+        attribute: 'abort-on-change' }
     }
   }
 
@@ -1,14 +1,29 @@
 import {default as SharedDataLoaders, sharedDataLoaders} from './SharedDataLoaders.js'
 import {default as StreamedDataLoaderElement, StreamedDataLoader} from './streamed-data-loader.js'
 import {default as UpdatingStreamedDataLoaderElement, UpdatingStreamedDataLoader} from './updating-streamed-data-loader.js'
+import {default as PollingStreamedDataLoaderElement, PollingStreamedDataLoader} from './polling-streamed-data-loader.js'
 import {default as PooledDataRequest} from './PooledDataRequest.js'
+import {default as DataRequestError} from './DataRequestError.js'
+import {default as PersistentDataCache, persistentDataCache} from './PersistentDataCache.js'
+import {default as ResponseDecoders, responseDecoders, framedDecoder} from './ResponseDecoders.js'
+import {default as DataWorker, dataWorker} from './DataWorker.js'
+import {default as DataWorkerStore} from './DataWorkerStore.js'
+import {default as TimeSlicer} from './TimeSlicer.js'
+import {default as StatusTransport} from './StatusTransport.js'
+import {default as StatusTransports, statusTransports} from './StatusTransports.js'
 import {default as SharedEventSource} from './SharedEventSource.js'
+import {default as SharedWebSocket} from './SharedWebSocket.js'
 import {default as UpdatingDataLoaderMixin} from './UpdatingDataLoaderMixin.js'
+import {default as PollingDataLoaderMixin} from './PollingDataLoaderMixin.js'
 import {default as DeserializingDataProcessor} from './DeserializingDataProcessor.js'
 import {default as DeserializingSingletonDataProcessor} from './DeserializingSingletonDataProcessor.js'
 
 export {SharedDataLoaders, sharedDataLoaders,
   StreamedDataLoader, StreamedDataLoaderElement,
   UpdatingStreamedDataLoader, UpdatingStreamedDataLoaderElement,
-  PooledDataRequest, SharedEventSource, UpdatingDataLoaderMixin,
+  PollingStreamedDataLoader, PollingStreamedDataLoaderElement,
+  PooledDataRequest, DataRequestError, PersistentDataCache, persistentDataCache,
+  ResponseDecoders, responseDecoders, framedDecoder, DataWorker, dataWorker, DataWorkerStore, TimeSlicer,
+  StatusTransport, StatusTransports, statusTransports, SharedEventSource, SharedWebSocket,
+  UpdatingDataLoaderMixin, PollingDataLoaderMixin,
   DeserializingDataProcessor, DeserializingSingletonDataProcessor}
@@ -0,0 +1,52 @@
+'use strict'
+
+/* eslint new-cap: ["warn", { "capIsNewExceptions": ["PollingDataLoaderMixin", "PollingDataLoaderElementMixin"] }] */
+
+import pick from 'lodash/pick'
+import pickBy from 'lodash/pickBy'
+
+import {default as PollingDataLoaderMixin, PollingDataLoaderElementMixin} from './PollingDataLoaderMixin.js'
+import {default as StreamedDataLoaderElement, StreamedDataLoader} from './streamed-data-loader.js'
+
+/** Polling Streamed Data Loader.
+ * @extends StreamedDataLoader
+ * @extends PollingDataLoaderMixin
+ */
+class PollingStreamedDataLoader extends PollingDataLoaderMixin(StreamedDataLoader) {
+  constructor(options) {
+    super(options)
+  }
+}
+
+/** Polling Streamed Data Loader Element.
+ * Extends `StreamedDataLoaderElement` to provide a streamed data loader
+ * that polls its data source for changes (for data sources without a
+ * status event source).
+ *
+ * @extends StreamedDataLoaderElement
+ */
+class PollingStreamedDataLoaderElement extends PollingDataLoaderElementMixin(StreamedDataLoaderElement) {
+
+  constructor() {
+    super()
+  }
+
+  _loaderOptionsChanged(changedProperties) {
+    return super._loaderOptionsChanged(changedProperties) ||
+      changedProperties.has('pollInterval') || changedProperties.has('pollPolicy')
+  }
+
+  _loaderOptions() {
+    let options = pick(this, ['pollInterval', 'pollPolicy'])
+    return {...super._loaderOptions(), ...pickBy(options, (value) => value !== undefined)}
+  }
+
+  get _loaderClass() {
+    return PollingStreamedDataLoader
+  }
+
+}
+
+customElements.define('polling-streamed-data-loader', PollingStreamedDataLoaderElement)
+
+export {PollingStreamedDataLoaderElement as default, PollingStreamedDataLoader}
@@ -3,16 +3,49 @@
 /* eslint new-cap: ["warn", { "capIsNewExceptions": ["PooledDataRequestMixin"] }] */
 
 import {LitElement} from 'lit-element'
-import ndjsonStream from "can-ndjson-stream"
+import isEqual from 'lodash/isEqual'
 import pick from 'lodash/pick'
+import pickBy from 'lodash/pickBy'
+import objectHash from 'object-hash'
 
+import DataRequestError from './DataRequestError.js'
+import {dataWorker} from './DataWorker.js'
 import PooledDataRequest from './PooledDataRequest.js'
+import {persistentDataCache} from './PersistentDataCache.js'
+import {responseDecoders} from './ResponseDecoders.js'
 import {sharedDataLoaders} from './SharedDataLoaders.js'
 
-const errorDelay = 60 * 1000
+const defaultRetryPolicy = {
+  delay: 5 * 1000,
+  maxDelay: 5 * 60 * 1000,
+  factor: 2,
+  jitter: 0.5,
+  maxAttempts: 0
+}
+
+const defaultProgressInterval = 250
+const defaultPersistInterval = 1000
 
 const unloadedStateBit = 1
 const errorStateBit = 2
+const failedStateBit = 4
+
+// pause holders for deferring loads while the page is hidden or offline
+const hiddenPauseHolder = 'page-hidden'
+const offlinePauseHolder = 'offline'
+
+// count of worker stores, for naming loader stores
+let workerStoreCount = 0
+
+// function-valued options, which persisted data keys don't distinguish
+const functionOptions = ['prepareRequest', 'onAuthFailure', 'decoder']
+
+// describes a malformed data row (one that isn't a two-element array
+//   with a string key); undefined for a well-formed row
+function malformedRow(row) {
+  if (!Array.isArray(row) || (row.length !== 2) || (typeof row[0] !== 'string'))
+    return `malformed data row (${String(JSON.stringify(row)).slice(0, 100)})`
+}
 
 const nullSerialization = {
   wrapEntity(entity, container) { return entity }
@@ -28,7 +61,7 @@ const nullSerialization = {
  * #### Response format
  *
  * The response to the data request should consist of a sequence of
- * NDJSON-encoded objects:
+ * objects (NDJSON-encoded, by default):
  * *   header object - contains these properties:
  *     *   `count` **integer** - count of data objects
  *     *   `update` **boolean** - (optional) if true, data objects in
@@ -36,22 +69,188 @@ const nullSerialization = {
  *         objects replace previously loaded data in its entirety
  *     *   `timestamps` **object** - (optional) dependency timestamps
  *     *   `cutoff` **integer** - (optional) cutoff timestamp
+ *     *   `next` - (optional) continuation cursor for the next page
+ *     *   `sequence` **integer** - (optional) sequence number; each
+ *         update response should be numbered one higher than the
+ *         previous response
  * *   data objects - zero or more data objects; each is coded as a
  *     two-element array containing these entries:
  *     *   key - object identifier
  *     *   object - the data object itself; `null` if the response is an
  *         update and the object has been deleted
  *
+ * #### Integrity checks
+ *
+ * The loader verifies that the count of data objects received matches
+ * the header `count`, and that each data object is a two-element array
+ * with a string key. For update responses, it verifies that the
+ * `sequence` number (if any) follows on from the previous response,
+ * and that the `cutoff` and dependency `timestamps` have not regressed.
+ * If a check fails, the response is rejected (the request fails with a
+ * `DataRequestError` having an `integrity` property of true), and the
+ * retried request is a full (non-update) reload. Dependency timestamps
+ * and cutoff are updated only when a response is successfully
+ * processed.
+ *
+ * #### Pagination
+ *
+ * The header object may include a continuation cursor (`next`),
+ * indicating that more data objects follow in another page. The loader
+ * requests the next page with the same parameters plus a `cursor`
+ * parameter, until it receives a page without a `next` cursor. By
+ * default, (`pagination` option `single`) the pages are passed to the
+ * processor as a single stream, with the header of the first page.
+ * If the `pagination` option is `progressive`, each page is passed to
+ * the processor as it arrives, subsequent pages as updates (although
+ * the loaded data's timestamps are only updated, and the data only
+ * persisted, once the last page is loaded). Activity events report the
+ * page being loaded (`page` property). If a page
+ * request fails, it is retried (per the retry policy) from its cursor,
+ * rather than starting over.
+ *
  * If the data service cannot serve the request in a timely fashion
  * (such that there is a risk of the request timing out), it may return
  * a "retry" response containing only a header object, with no `count`
- * property. The loader detects this response and retries the request.
+ * property. The loader detects this response and retries the request
+ * (immediately, unless the header object has a `retryAfter` property
+ * specifying a delay in seconds).
+ *
+ * Other response formats are handled by response decoders (see
+ * `ResponseDecoders`), selected by the `format` option or, failing
+ * that, by the response `Content-Type` (a JSON document response must
+ * be configured with `format` `json`, see `ResponseDecoders`). A
+ * `decoder` function option
+ * may be supplied instead; it is passed the `fetch()` response and
+ * returns a `ReadableStream` of the header object and data rows (or a
+ * promise resolving with one).
+ *
+ * #### Timeouts and failures
+ *
+ * If a `timeout` is configured, the request fails if the response has
+ * not arrived within the timeout. If an `idleTimeout` is configured, the
+ * request fails if no response data arrives for the duration of the
+ * timeout (a stalled connection); time spent waiting for the processor
+ * to consume rows doesn't count. In either case, the
+ * request is aborted, releasing its slot in the request pool.
+ *
+ * When a request fails, the loader reports an activity event with
+ * `activity` of `loading failed`, `severity` of `error`, and an `error`
+ * message, then retries the request after a delay. Retries are
+ * governed by the `retryPolicy` option, an object with these
+ * properties:
+ * *   `delay` **integer** - delay before the first retry, in
+ *     milliseconds; default is 5 seconds
+ * *   `maxDelay` **integer** - maximum retry delay, in milliseconds;
+ *     default is 5 minutes
+ * *   `factor` **number** - factor by which the delay increases with
+ *     each successive failure; default is 2
+ * *   `jitter` **number** - fraction of the delay that is randomized
+ *     (so that clients don't retry in lockstep); default is 0.5
+ * *   `maxAttempts` **integer** - number of consecutive failures after
+ *     which the loader stops retrying; 0 (the default) for no limit
+ *
+ * If a failed response has status 429 or 503 and a `Retry-After`
+ * header, the header determines the retry delay. Requests failing with
+ * client errors (see `DataRequestError`) are not retried. When the
+ * loader stops retrying, it enters a terminal error state, and its
+ * final activity event has a `final` property of true.
+ *
+ * When the loader is destroyed, an active load is aborted: the request
+ * is cancelled, the stream being read by the processor errors, and the
+ * processor's abort signal is signalled (see below). Subclasses may
+ * also abort a load that is superseded by newer data, in which case
+ * the load is restarted immediately.
+ *
+ * #### Page visibility and network connectivity
+ *
+ * Data requests are deferred while the browser is offline (unless the
+ * `deferWhileOffline` option is false) and, if the `deferWhileHidden`
+ * option is set, while the page is hidden; a deferred request is made
+ * when the page becomes visible and the network is available. (A load
+ * already in progress continues.) When the network returns, a failed
+ * request awaiting retry is retried immediately.
+ *
+ * #### Persistent data
+ *
+ * If the `persist` option is set, loaded data objects, the response
+ * header, and the dependency timestamps and cutoff are stored in a
+ * `PersistentDataCache`. When the loader is created, persisted data is
+ * passed to the processor immediately (as a non-update, with a
+ * `cached` header property of true), then the loader requests changes
+ * made since the persisted data was loaded (stale-while-revalidate).
+ * Persisted data is written at most once per `persistInterval` (the
+ * latest data is written when the interval elapses, or when the loader
+ * is destroyed).
+ *
+ * Persisted data is keyed by the `url` and `query` options, which
+ * don't distinguish loaders whose requests differ by function-valued
+ * options (a `prepareRequest` hook adding a tenant's credentials, say).
+ * Loaders configured with `prepareRequest`, `onAuthFailure` or
+ * `decoder` must therefore specify the `cacheKey` option to persist
+ * their data.
+ *
+ * #### Worker loading
+ *
+ * If the `worker` option is set, requests are sent, and NDJSON
+ * responses decoded, in a `Worker` (see `DataWorker`), so that large
+ * responses don't block the main thread. The option may be an object
+ * with these properties:
+ * *   `keyPrefix` **string** - if specified, the worker drops data
+ *     objects whose keys don't have the form `<key-prefix>.<key>`
+ * *   `diff` **boolean** - if true, the worker keeps a copy of the
+ *     loaded data, and passes only added, changed and removed data
+ *     objects to the processor (as an update, with a `diffed` header
+ *     property of true; the header `count` passed to the processor is
+ *     that of the response, and the header of the `data-loaded` event
+ *     has the count of the changes); update responses are checked for
+ *     integrity as usual, while complete responses converted to updates
+ *     have a `diffedFull` header property of true, and are not
+ * *   `dataWorker` **DataWorker** - worker to use; default is a shared
+ *     worker
+ *
+ * The option is ignored if workers aren't available, or if the loader
+ * is configured with a `format` or `decoder`.
+ *
+ * #### Progress
+ *
+ * While the response is being read, the loader reports progress
+ * through activity events (at most once per `progressInterval`
+ * milliseconds), with these properties:
+ * *   `received` - count of data objects received
+ * *   `total` - count of data objects expected (from the header)
+ * *   `percent` - percentage of data objects received
+ * *   `bytes` - count of response bytes received
+ * *   `totalBytes` - count of response bytes expected (from the
+ *     `Content-Length` response header, if present)
+ *
+ * #### Load events
+ *
+ * In addition to activity events, the loader dispatches these
+ * `CustomEvent` instances to the activity target (a shared loader
+ * dispatches them to each element referencing it). Each event's
+ * `detail` property contains the loader `name`, and:
+ * *   `data-load-start` - a data request is issued
+ * *   `data-loaded` - data has been loaded; `detail` contains the
+ *     response `header`, the `count` of data objects in the header,
+ *     the count of data objects `received`, and the `update` flag
+ * *   `data-load-error` - a data request failed; `detail` contains the
+ *     `error`, and `final` (true if the loader will not retry)
+ *
+ * The `whenLoaded()` method (or `loaded` property) provides a promise
+ * that resolves once data is loaded (or, after `reload()`, reloaded).
+ *
+ * If a request fails with status 401 and the loader has an
+ * `onAuthFailure` hook, the hook is invoked with the error. It should
+ * return a promise that resolves once the session is refreshed (the
+ * request is then retried immediately) or rejects if it cannot be
+ * refreshed. The hook is invoked at most once between successful
+ * requests.
  *
  * #### Data processing function
  *
  * The loader is configured with a `processor` function to store or
  * otherwise transform the loaded data. It has the signature:
- *     processor(objects, header)
+ *     processor(objects, header, options)
  *
  * It is passed these parameters:
  * *   `objects` **ReadableStream** - a stream that returns the loaded
@@ -59,6 +258,11 @@ const nullSerialization = {
  *     object identifier and the object itself (that is, the decoded
  *     NDJSON rows from the response)
  * *   `header` **Object** - the decoded header object from the response
+ * *   `options` **Object** - processing options:
+ *     *   `signal` **AbortSignal** - signalled when the load is aborted
+ *         (the loader is destroyed, or the load is superseded); the
+ *         `objects` stream errors at the same time, and a processor
+ *         should discard any partially processed data
  *
  * @param {Object} options - configuration options:
  * *   `name` **string** - name for error and activity reporting
@@ -68,30 +272,213 @@ const nullSerialization = {
  *     a `wrapEntity(entity)` method used to deserialize loaded data
  *     objects
  * *   `processor` **Function** - data processing function
+ * *   `pool` **string** - request pool (see `PooledDataRequest`);
+ *     default is `default`
+ * *   `priority` **number** - request priority (see
+ *     `PooledDataRequest`); default is 0
+ * *   `method`, `credentials`, `headers`, `prepareRequest` - request
+ *     encoding options (see `PooledDataRequest`)
+ * *   `timeout` **integer** - response timeout, in milliseconds (see
+ *     `PooledDataRequest`)
+ * *   `idleTimeout` **integer** - stream idle timeout, in milliseconds
+ * *   `retryPolicy` **Object** - retry policy for failed requests
+ * *   `onAuthFailure` **Function** - authentication failure hook
+ * *   `pagination` **string** - pagination mode: `single` (default) or
+ *     `progressive`
+ * *   `format` **string** - name of response decoder; default is
+ *     determined by the response content type
+ * *   `decoder` **Function** - custom response decoding function
+ * *   `persist` **boolean** - if true, loaded data is persisted (see
+ *     below)
+ * *   `cacheKey` **string** - key for persisted data; default is a hash
+ *     of the `url` and `query` options (required if function-valued
+ *     options are specified; see below)
+ * *   `persistentCache` **PersistentDataCache** - cache for persisted
+ *     data; default is a shared IndexedDB cache
+ * *   `persistInterval` **integer** - minimum interval between writes of
+ *     persisted data, in milliseconds; default is 1000
+ * *   `progressInterval` **integer** - minimum interval between progress
+ *     reports, in milliseconds; default is 250
+ * *   `deferWhileHidden` **boolean** - if true, defer requests while the
+ *     page is hidden; default is false
+ * *   `deferWhileOffline` **boolean** - if true, defer requests while
+ *     offline; default is true
+ * *   `worker` **boolean|Object** - if set, load data in a worker (see
+ *     below)
  * *   `activityTarget` **Element** - target element for activity events
  * *   `activityEvent` - `CustomEvent` name for activity reporting
  */
 class StreamedDataLoader {
 
   constructor(options) {
-    this._config = {query: {}, serialization: nullSerialization, ...options}
+    this._config = {query: {}, serialization: nullSerialization, progressInterval: defaultProgressInterval,
+      persistInterval: defaultPersistInterval, deferWhileHidden: false, deferWhileOffline: true, ...options}
+    this._config.retryPolicy = {...defaultRetryPolicy, ...this._config.retryPolicy}
+    if (this._config.persist && !this._config.cacheKey && functionOptions.some(name => this._config[name]))
+      throw new Error(`persisted data loader with function-valued options requires a cacheKey (${this._config.name})`)
     this.state = unloadedStateBit
+    this._retryAttempts = 0
     this._requestState = 'idle' // idle, pending, active
     this._requestDelay = 0
     this._timestamps = {}
     this._cutoff = 0
-    this._pooledDataRequest = new PooledDataRequest(pick(this._config, ['name', 'activityTarget', 'activityEvent']))
-    this._delayedDataRequest(0)
+    this._reloadRequest = undefined
+    this._sequence = undefined
+    this._integrityFailed = false
+    this._pageCursor = undefined
+    this._pageNumber = 0
+    this._firstPageUpdate = false
+    this._pauseHolders = new Set()
+    this._pausedRequest = false
+    this._resetLoadedPromise()
+    this._pooledDataRequest = new PooledDataRequest(pick(this._config, ['name', 'pool', 'priority',
+      'method', 'credentials', 'headers', 'prepareRequest', 'timeout', 'activityTarget', 'activityEvent']))
+    if (this._useWorker && this._config.worker.diff) this._workerStore = `data-loader-${++workerStoreCount}`
+    this._boundConnectivityListener = this._connectivityListener.bind(this)
+    document.addEventListener('visibilitychange', this._boundConnectivityListener)
+    window.addEventListener('online', this._boundConnectivityListener)
+    window.addEventListener('offline', this._boundConnectivityListener)
+    this._connectivityListener()
+    if (this._config.persist)
+      this._restoreCache()
+    else
+      this._delayedDataRequest(0)
   }
 
   destroy() {
+    this._clearIdleTimeout()
+    if (this._cacheWriteId) {
+      clearTimeout(this._cacheWriteId)
+      this._writeCache()
+    }
+    if (this._workerStore) this._dataWorker.release(this._workerStore)
+    document.removeEventListener('visibilitychange', this._boundConnectivityListener)
+    window.removeEventListener('online', this._boundConnectivityListener)
+    window.removeEventListener('offline', this._boundConnectivityListener)
+    this._abortLoad(new DataRequestError('Data loader destroyed', {aborted: true, retryable: false}))
+    if (this._requestState === 'pending') {
+      clearTimeout(this._requestId)
+      delete this._requestId
+      this._requestState = 'idle'
+    }
     if (this._pooledDataRequest) {
       this._pooledDataRequest.destroy()
       delete this._pooledDataRequest
     }
   }
 
+  /** Raises data request priority.
+   * The priority is raised (never lowered) for subsequent data
+   * requests and for a queued data request. Since a loader may be
+   * shared, the loader takes on the highest priority requested by any
+   * of its clients.
+   *
+   * @param {number} priority - request priority
+   */
+  raisePriority(priority) {
+    if (this._pooledDataRequest && (priority > (this._config.priority || 0))) {
+      this._config.priority = priority
+      this._pooledDataRequest.updateDataRequestPriority(priority)
+    }
+  }
+
+  /** Reloads data.
+   * If a request is active, the data is reloaded when it completes;
+   * a pending (delayed) request is issued immediately. Reloading also
+   * clears a terminal error state. The promise returned by
+   * `whenLoaded()` is replaced, to resolve once the data is reloaded.
+   *
+   * @param {Object} options - (optional) reload options:
+   * *   `full` **boolean** - if true, discard dependency timestamps
+   *     and cutoff, so that the response replaces previously loaded
+   *     data in its entirety (rather than updating it)
+   */
+  reload(options) {
+    if (!this._pooledDataRequest) return
+    let full = !!(options && options.full) || !!(this._reloadRequest && this._reloadRequest.full)
+    this._reloadRequest = {full}
+    this._retryAttempts = 0
+    this._authRetried = false
+    this.state = this.state & ~failedStateBit
+    this._resetLoadedPromise(true)
+    if (this._requestState !== 'active') this._delayedDataRequest(0)
+  }
+
+  /** Waits for data to be loaded.
+   * @return {Promise} resolves with the response header object once
+   *   data has been loaded (immediately, if data was previously
+   *   loaded); rejects if loading fails and the loader stops retrying
+   */
+  whenLoaded() {
+    return this._loadedPromise.promise
+  }
+
+  /** Promise that resolves when data is loaded (see `whenLoaded()`).
+   * @type {Promise}
+   */
+  get loaded() {
+    return this.whenLoaded()
+  }
+
+  /** Pauses data loading.
+   * While paused, no new data requests are issued (an active request
+   * runs to completion). Requests that come due while paused are
+   * issued when loading resumes.
+   *
+   * Since a loader may be shared, each client pausing the loader should
+   * identify itself; the loader remains paused until all such clients
+   * resume it.
+   *
+   * @param {Object} holder - (optional) client pausing the loader
+   */
+  pause(holder) {
+    this._pauseHolders.add(holder || this)
+    if (this._requestState === 'pending') {
+      clearTimeout(this._requestId)
+      delete this._requestId
+      this._requestState = 'idle'
+      this._pausedRequest = true
+    }
+  }
+
+  /** Resumes data loading.
+   * @param {Object} holder - (optional) client that paused the loader
+   */
+  resume(holder) {
+    this._pauseHolders.delete(holder || this)
+    if (!this.paused && this._pausedRequest && this._pooledDataRequest) {
+      this._pausedRequest = false
+      this._delayedDataRequest(0)
+    }
+  }
+
+  /** True if data loading is paused.
+   * @type {boolean}
+   */
+  get paused() {
+    return this._pauseHolders.size > 0
+  }
+
+  // defers requests while the page is hidden or offline (as configured)
+  _connectivityListener(e) {
+    if (this._config.deferWhileHidden && document.hidden)
+      this.pause(hiddenPauseHolder)
+    else
+      this.resume(hiddenPauseHolder)
+    if (this._config.deferWhileOffline && !navigator.onLine)
+      this.pause(offlinePauseHolder)
+    else
+      this.resume(offlinePauseHolder)
+    // retry a failed request immediately when the network returns
+    if (e && (e.type === 'online') && (this.state & errorStateBit) && (this._requestState === 'pending'))
+      this._delayedDataRequest(0)
+  }
+
   _delayedDataRequest(delay) {
+    if (this.paused) {
+      this._pausedRequest = true
+      return
+    }
     if ((this._requestState === 'pending') && (delay < this._requestDelay)) {
       clearTimeout(this._requestId)
       this._requestState = 'idle'
@@ -110,45 +497,606 @@ class StreamedDataLoader {
 
   _dataRequest() {
     this._requestState = 'active'
-    let params = {...this._config.query, timestamps: this._timestamps, cutoff: this._cutoff}
-    return this._pooledDataRequest.queueDataRequest({url: this._config.url, params})
-      .then(response => ndjsonStream(response.body))
-      .then(stream => {
-        let receivedData = false
-        this._getHeaderObject(stream)
-          .then(header => {
-            this.state = this.state & ~errorStateBit
+    this._dispatchLoadEvent('data-load-start', {})
+    if (this._integrityFailed) {
+      this._integrityFailed = false
+      this._reloadRequest = {full: true}
+    }
+    if (this._reloadRequest) {
+      if (this._reloadRequest.full) {
+        this._timestamps = {}
+        this._cutoff = 0
+        this._sequence = undefined
+        this._pageCursor = undefined
+      }
+      this._reloadRequest = undefined
+    }
+    let params = {...this._config.query, timestamps: this._timestamps, cutoff: this._cutoff},
+        continuing = (this._pageCursor != undefined)
+    if (continuing) params.cursor = this._pageCursor
+    this._receivedRows = 0
+    this._receivedBytes = 0
+    this._totalBytes = undefined
+    this._expectedRows = undefined
+    this._diffedRows = undefined
+    this._progressReportedAt = 0
+    // the rows of progressively loaded pages are persisted together
+    if (!continuing) this._cacheRows = this._cacheObjects ? [] : undefined
+    this._loadController = new AbortController()
+    let signal = this._loadController.signal
+    return this._requestPage(params)
+      .then(({stream, header}) => {
+        let receivedData = false, morePages = false, retryDelay = 0
+        this.state = this.state & ~(errorStateBit | failedStateBit)
+        return Promise.resolve()
+          .then(() => {
             if (header.hasOwnProperty('count')) {
               receivedData = true
-              Object.assign(this._timestamps, header.timestamps)
-              this._cutoff = header.cutoff
-              return this._config.processor(stream, header)
+              this._expectedRows = header.count
+              if (header.update && !continuing && !header.diffedFull) {
+                try {
+                  this._checkUpdateHeader(header)
+                }
+                catch (error) {
+                  // abandon the response, cancelling its stream
+                  this._abortLoad(error)
+                  throw error
+                }
+              }
+              // pages following the first update the data from previous pages
+              if (continuing) header = {...header, update: true}
+              else this._firstPageUpdate = !!header.update
+              if (header.next != undefined) {
+                if (this._config.pagination === 'progressive') {
+                  this._pageCursor = header.next
+                  this._pageNumber = (continuing ? this._pageNumber : 1) + 1
+                  morePages = true
+                }
+                else
+                  stream = this._pagedStream(stream, header, params)
+              }
+              else
+                this._pageCursor = undefined
+              this._loadHeader = header
+              this._loadStarted(header)
+              return this._config.processor(stream, header, {signal})
             }
+            retryDelay = (header.retryAfter > 0) ? header.retryAfter * 1000 : 0
           })
           .then(() => {
+            // a processor may complete despite the load being aborted
+            if (signal.aborted) throw signal.reason
+            this._loadFinished()
             this._pooledDataRequest.releaseDataRequest()
             this._requestState = 'idle'
+            this._retryAttempts = 0
+            this._authRetried = false
             if (receivedData) {
               this.state = this.state & ~unloadedStateBit
-              this._pooledDataRequest.updateDataRequestActivity({activity: ''})
+              if (morePages) {
+                this._pooledDataRequest.updateDataRequestActivity(
+                  {activity: `loading page ${this._pageNumber}`, page: this._pageNumber})
+                this._delayedDataRequest(0)
+              }
+              else {
+                // dependency timestamps, cutoff and sequence number are
+                //   committed (and the data persisted) once the data, every
+                //   page of it, is successfully processed
+                Object.assign(this._timestamps, header.timestamps)
+                this._cutoff = header.cutoff
+                if (header.sequence !== undefined) this._sequence = header.sequence
+                if (this._cacheObjects)
+                  this._saveCache(continuing ? {...header, update: this._firstPageUpdate} : header)
+                this._pooledDataRequest.updateDataRequestActivity({activity: ''})
+                // a diffed header's count is that of the response; report
+                //   that of the changes
+                if (header.diffed && (this._diffedRows !== undefined)) header = {...header, count: this._diffedRows}
+                this._dataLoaded(header)
+              }
             }
             else {
               this.state |= unloadedStateBit
               this._pooledDataRequest.updateDataRequestActivity({activity: 'loading data'})
-              this._delayedDataRequest(0)
+              this._delayedDataRequest(retryDelay)
             }
+            if (this._reloadRequest) this._delayedDataRequest(0)
           })
       })
       .catch(error => {
+        this._loadFinished()
+        // report an aborted load as such, however it failed
+        if (signal.aborted) error = signal.reason
+        // the worker's copy of the data may include unprocessed changes
+        if (this._workerStore) this._dataWorker.release(this._workerStore)
         if (this._pooledDataRequest) { // destroy() deletes _pooledDataRequest
           this._pooledDataRequest.releaseDataRequest()
           this._requestState = 'idle'
+          // a superseded load is restarted straight away
+          if (error.superseded) {
+            this._delayedDataRequest(0)
+            return
+          }
           console.log('streamed-data-loader data request failed: ' + error.message)
           this.state |= errorStateBit
-          this._pooledDataRequest.updateDataRequestActivity({activity: ''})
-          this._delayedDataRequest(errorDelay)
+          // fall back to a full reload when data integrity is in doubt
+          if (error.integrity) this._integrityFailed = true
+          if ((error.status === 401) && this._config.onAuthFailure && !this._authRetried)
+            this._authenticate(error)
+          else
+            this._retryDataRequest(error)
+          if (this._reloadRequest) this._delayedDataRequest(0)
+        }
+      })
+  }
+
+  // invoked once the header of a (non-retry) response is received
+  _loadStarted(header) {
+  }
+
+  _loadFinished() {
+    this._clearIdleTimeout()
+    this._loadController = undefined
+    this._loadHeader = undefined
+    this._streamController = undefined
+  }
+
+  // aborts the active load (if any): signals the processor and errors
+  //   the stream it is reading
+  _abortLoad(error) {
+    if (this._loadController) this._loadController.abort(error)
+    if (this._streamController) this._streamController.error(error)
+    if (this._pooledDataRequest) this._pooledDataRequest.abortDataRequest()
+  }
+
+  // aborts an active load, which is then restarted; for use when newer
+  //   data is known to be available
+  _supersedeLoad() {
+    if (this._requestState === 'active')
+      this._abortLoad(new DataRequestError('Data load superseded', {superseded: true}))
+  }
+
+  // checks that an update header follows on from previously loaded data
+  _checkUpdateHeader(header) {
+    let error = (message) => new DataRequestError(`Data integrity check failed: ${message}`, {integrity: true})
+    if ((header.sequence !== undefined) && (this._sequence !== undefined) && (header.sequence !== this._sequence + 1))
+      throw error(`sequence gap (expected ${this._sequence + 1}, received ${header.sequence})`)
+    if ((header.cutoff !== undefined) && (header.cutoff < this._cutoff))
+      throw error(`cutoff regressed (${header.cutoff} < ${this._cutoff})`)
+    for (let name in header.timestamps || {})
+      if (header.timestamps[name] < (this._timestamps[name] || 0))
+        throw error(`timestamp regressed (${name})`)
+  }
+
+  // queues a request, resolving with the header object and the stream
+  //   of remaining rows
+  _requestPage(params) {
+    let request = {url: this._config.url, params},
+        useWorker = this._useWorker
+    // the worker passes the pages following the first through uncompared
+    if (useWorker) request.fetch = (url, init) => this._workerFetch(url, init, params.cursor != undefined)
+    return this._pooledDataRequest.queueDataRequest(request)
+      .then(response => this._decodeResponse(this._countBytes(response)))
+      .then(stream => this._monitorStream(stream, useWorker))
+      .then(stream => this._getHeaderObject(stream)
+        .then(header => ({stream, header})))
+  }
+
+  // combines the rows of successive pages into a single stream;
+  //   a failed page is retried (per the retry policy) from its cursor
+  _pagedStream(stream, header, params) {
+    let reader = stream.getReader(),
+        cursor = header.next,
+        page = 1
+    const nextPage = () => {
+      if (!this._pooledDataRequest) return Promise.reject(new Error('loader destroyed'))
+      this._pooledDataRequest.releaseDataRequest()
+      this._pooledDataRequest.updateDataRequestActivity({activity: `loading page ${page}`, page})
+      return this._requestPage({...params, cursor})
+        .catch(error => {
+          this._clearIdleTimeout()
+          if (!this._pooledDataRequest) throw error
+          console.log(`streamed-data-loader page ${page} request failed: ${error.message}`)
+          this._retryAttempts += 1
+          let delay = this._retryDelay(error)
+          if (delay === undefined) throw error
+          this._pooledDataRequest.releaseDataRequest()
+          this._pooledDataRequest.updateDataRequestActivity(
+            {activity: 'loading failed', severity: 'error', error: error.message, page})
+          return new Promise(resolve => setTimeout(resolve, delay)).then(nextPage)
+        })
+    }
+    return new ReadableStream({
+      pull: async (controller) => {
+        for (;;) {
+          let rslt = await reader.read()
+          if (!rslt.done) {
+            controller.enqueue(rslt.value)
+            return
+          }
+          if (cursor == undefined) {
+            controller.close()
+            return
+          }
+          page += 1
+          let next = await nextPage()
+          reader = next.stream.getReader()
+          cursor = next.header.next
+          this._expectedRows += next.header.count || 0
+        }
+      },
+      cancel: (reason) => reader.cancel(reason)
+    })
+  }
+
+  // invokes the authentication failure hook, then retries immediately
+  //   if it succeeds; only one attempt is made until a request succeeds
+  _authenticate(error) {
+    this._authRetried = true
+    this._pooledDataRequest.updateDataRequestActivity(
+      {activity: 'authenticating', severity: 'error', error: error.message})
+    Promise.resolve()
+      .then(() => this._config.onAuthFailure(error))
+      .then(
+        () => {
+          if (this._pooledDataRequest) this._delayedDataRequest(0)
+        },
+        (authError) => {
+          if (this._pooledDataRequest) {
+            console.log('streamed-data-loader authentication failed: ' + (authError && authError.message))
+            this._retryDataRequest(error)
+          }
+        })
+  }
+
+  _retryDataRequest(error) {
+    this._retryAttempts += 1
+    let delay = this._retryDelay(error)
+    if (delay === undefined) {
+      this.state |= failedStateBit
+      this._pooledDataRequest.updateDataRequestActivity(
+        {activity: 'loading failed', severity: 'error', error: error.message, final: true})
+      this._dispatchLoadEvent('data-load-error', {error, final: true})
+      // a pending reload settles the loaded promise
+      if (!this._reloadRequest) this._loadedPromise.reject(error)
+    }
+    else {
+      this._pooledDataRequest.updateDataRequestActivity(
+        {activity: 'loading failed', severity: 'error', error: error.message})
+      this._dispatchLoadEvent('data-load-error', {error, final: false})
+      this._delayedDataRequest(delay)
+    }
+  }
+
+  _dataLoaded(header) {
+    this._dispatchLoadEvent('data-loaded',
+      {header, count: header.count, received: this._receivedRows, update: !!header.update})
+    if (!this._reloadRequest) this._loadedPromise.resolve(header)
+  }
+
+  _cacheKey() {
+    return this._config.cacheKey || objectHash(pick(this._config, ['url', 'query']))
+  }
+
+  get _persistentCache() {
+    return this._config.persistentCache || persistentDataCache
+  }
+
+  // restores persisted data (if any), then requests changes since the
+  //   persisted data was loaded
+  _restoreCache() {
+    this._cacheObjects = new Map()
+    this._requestState = 'active'
+    this._persistentCache.get(this._cacheKey())
+      .then(record => {
+        if (record && this._pooledDataRequest) return this._restoreCachedRecord(record)
+      })
+      .catch(error => { console.log('streamed-data-loader cache restore failed: ' + error.message) })
+      .then(() => {
+        if (this._pooledDataRequest) {
+          this._requestState = 'idle'
+          this._delayedDataRequest(0)
+        }
+      })
+  }
+
+  _restoreCachedRecord(record) {
+    let rows = record.objects || [], index = 0,
+        header = {...record.header, count: rows.length, update: false, cached: true},
+        stream = new ReadableStream({
+          pull(controller) {
+            if (index >= rows.length) controller.close()
+            else controller.enqueue(rows[index++])
+          }
+        })
+    this._timestamps = {...record.timestamps}
+    this._cutoff = record.cutoff
+    this._sequence = record.sequence
+    this._cacheObjects = new Map(rows)
+    this._receivedRows = rows.length
+    return Promise.resolve(this._config.processor(stream, header))
+      .then(() => {
+        this.state = this.state & ~unloadedStateBit
+        this._dataLoaded(header)
+      })
+  }
+
+  // processes data rows obtained other than by a data request (such as
+  //   the changes carried by a status event) as an update of the
+  //   loaded data; resolves true if the rows were processed, false if
+  //   a data request is required instead (if, say, the update doesn't
+  //   follow on from the loaded data)
+  _loadRows(header, rows) {
+    if ((this._requestState !== 'idle') || (this.state & unloadedStateBit) ||
+        (this._pageCursor != undefined) || this._reloadRequest || this._integrityFailed)
+      return Promise.resolve(false)
+    header = {...header, count: rows.length, update: true}
+    try {
+      for (let row of rows) {
+        let malformed = malformedRow(row)
+        if (malformed) throw new DataRequestError(`Data integrity check failed: ${malformed}`, {integrity: true})
+      }
+      this._checkUpdateHeader(header)
+    }
+    catch (error) {
+      console.log('streamed-data-loader rejected rows: ' + error.message)
+      return Promise.resolve(false)
+    }
+    let index = 0,
+        stream = new ReadableStream({
+          pull(controller) {
+            if (index >= rows.length) controller.close()
+            else controller.enqueue(rows[index++])
+          }
+        })
+    this._requestState = 'active'
+    this._dispatchLoadEvent('data-load-start', {})
+    this._receivedRows = rows.length
+    this._loadController = new AbortController()
+    let signal = this._loadController.signal
+    this._loadHeader = header
+    this._loadStarted(header)
+    return Promise.resolve()
+      .then(() => this._config.processor(stream, header, {signal}))
+      .then(() => {
+        if (signal.aborted) throw signal.reason
+        this._loadFinished()
+        this._requestState = 'idle'
+        Object.assign(this._timestamps, header.timestamps)
+        if (header.cutoff !== undefined) this._cutoff = header.cutoff
+        if (header.sequence !== undefined) this._sequence = header.sequence
+        // the worker's copy of the data lacks these changes
+        if (this._workerStore) this._dataWorker.release(this._workerStore)
+        if (this._cacheObjects) {
+          this._cacheRows = rows
+          this._saveCache(header)
+        }
+        this._dataLoaded(header)
+        return true
+      })
+      .catch(error => {
+        this._loadFinished()
+        if (!this._pooledDataRequest) return true // destroyed
+        this._requestState = 'idle'
+        console.log('streamed-data-loader failed to process rows: ' + error.message)
+        return false
+      })
+  }
+
+  // applies the loaded rows to the persisted data, which is written
+  //   once the `persistInterval` elapses (so that the writes of
+  //   successive loads are coalesced)
+  _saveCache(header) {
+    if (!header.update) this._cacheObjects.clear()
+    for (let [key, obj] of this._cacheRows || [])
+      if (obj == undefined) this._cacheObjects.delete(key); else this._cacheObjects.set(key, obj)
+    this._cacheRows = undefined
+    this._cacheHeader = header
+    if (!this._cacheWriteId) {
+      this._cacheWriteId = setTimeout(() => this._writeCache(), this._config.persistInterval)
+    }
+  }
+
+  _writeCache() {
+    delete this._cacheWriteId
+    let record = {
+      objects: Array.from(this._cacheObjects),
+      header: this._cacheHeader,
+      timestamps: {...this._timestamps},
+      cutoff: this._cutoff,
+      sequence: this._sequence,
+      savedAt: Date.now() }
+    this._persistentCache.put(this._cacheKey(), record)
+  }
+
+  _dispatchLoadEvent(type, detail) {
+    if (this._config.activityTarget) {
+      let event = new CustomEvent(type,
+        {bubbles: true, composed: true, detail: {name: this._config.name || 'data', ...detail}})
+      this._config.activityTarget.dispatchEvent(event)
+    }
+  }
+
+  // (re)creates the loaded promise if not yet created or if rejected
+  //   (or, when reloading, if resolved); a promise yet to settle is
+  //   kept, and settled once the reload completes
+  _resetLoadedPromise(reloading) {
+    let previous = this._loadedPromise
+    if (!previous || previous.rejected || (reloading && previous.settled)) {
+      let loaded = {}
+      loaded.promise = new Promise((resolve, reject) => {
+        loaded.resolve = (header) => {
+          loaded.settled = true
+          resolve(header)
+        }
+        loaded.reject = (error) => {
+          loaded.settled = loaded.rejected = true
+          reject(error)
         }
       })
+      // avoid unhandled rejections when no client awaits the promise
+      loaded.promise.catch(() => {})
+      this._loadedPromise = loaded
+    }
+  }
+
+  // determines the delay before retrying a failed request;
+  //   undefined if the request should not be retried
+  _retryDelay(error) {
+    let policy = this._config.retryPolicy
+    if (error.retryable === false) return undefined
+    if ((policy.maxAttempts > 0) && (this._retryAttempts >= policy.maxAttempts)) return undefined
+    if (error.retryAfter !== undefined) return error.retryAfter
+    let delay = Math.min(policy.maxDelay, policy.delay * Math.pow(policy.factor, this._retryAttempts - 1))
+    return delay * (1 - policy.jitter * Math.random())
+  }
+
+  // decodes the response to a stream of rows
+  _decodeResponse(response) {
+    if (response.rows) return response.rows // decoded by the worker
+    if (this._config.decoder) return this._config.decoder(response)
+    let format = this._config.format,
+        decoder = format ? responseDecoders.get(format) : (responseDecoders.forResponse(response) || responseDecoders.get('ndjson'))
+    if (!decoder) throw new Error(`unknown response format (${format})`)
+    return decoder.decode(response)
+  }
+
+  // monitors the response stream: checks and counts data rows (the
+  //   stream is errored by an idle timeout, see `_resetIdleTimeout()`);
+  //   `workerRows` is true for rows decoded by the worker
+  _monitorStream(stream, workerRows) {
+    let header, rows = 0
+    let integrityError = (message) => {
+      if (this._pooledDataRequest) this._pooledDataRequest.abortDataRequest()
+      return new DataRequestError(`Data integrity check failed: ${message}`, {integrity: true})
+    }
+    return stream.pipeThrough(new TransformStream({
+      start: (controller) => {
+        this._streamController = controller
+      },
+      transform: (row, controller) => {
+        if (header === undefined) {
+          if (!row || (typeof row !== 'object') || Array.isArray(row))
+            throw integrityError('malformed header')
+          header = row
+        }
+        else {
+          let malformed = malformedRow(row)
+          if (malformed) throw integrityError(malformed)
+          rows += 1
+          if (this._cacheRows) this._cacheRows.push(row)
+          if (!workerRows) {
+            this._receivedRows += 1
+            this._reportProgress()
+          }
+        }
+        controller.enqueue(row)
+      },
+      flush: () => {
+        // the worker counts (and checks the count of) the rows it decodes,
+        //   some of which it may not pass on
+        if (workerRows) {
+          if (header && header.diffed) this._diffedRows = rows
+        }
+        else if (header && header.hasOwnProperty('count') && (rows !== header.count))
+          throw integrityError(`row count mismatch (expected ${header.count}, received ${rows})`)
+      }
+    }))
+  }
+
+  get _dataWorker() {
+    return this._config.worker.dataWorker || dataWorker
+  }
+
+  get _useWorker() {
+    return !!this._config.worker && !this._config.format && !this._config.decoder && this._dataWorker.available
+  }
+
+  // sends a request from the worker, which counts response bytes;
+  //   `continuing` is true for pages following the first
+  _workerFetch(url, init, continuing) {
+    let onBytes = (bytes) => {
+      this._receivedBytes += bytes
+      this._resetIdleTimeout()
+      this._reportProgress()
+    }
+    let onRows = (rows) => {
+      this._receivedRows += rows
+      this._reportProgress()
+    }
+    let onComplete = () => this._clearIdleTimeout()
+    return this._dataWorker.fetch(url, init,
+      {keyPrefix: this._config.worker.keyPrefix, store: this._workerStore, continuing, onBytes, onRows, onComplete})
+      .then(response => {
+        if (response.ok) this._resetIdleTimeout()
+        return response
+      })
+  }
+
+  // counts response body bytes as they are read; the idle timeout runs
+  //   while a read awaits the network (rather than while rows await a
+  //   slow consumer)
+  _countBytes(response) {
+    let length = parseInt(response.headers.get('Content-Length'), 10)
+    if (!isNaN(length)) this._totalBytes = (this._totalBytes || 0) + length
+    if (!response.body) return response
+    let reader = response.body.getReader()
+    let body = new ReadableStream({
+      pull: (controller) => {
+        this._resetIdleTimeout()
+        return reader.read()
+          .then(({done, value}) => {
+            this._clearIdleTimeout()
+            if (done) controller.close()
+            else {
+              this._receivedBytes += value.byteLength
+              controller.enqueue(value)
+            }
+          }, error => {
+            this._clearIdleTimeout()
+            throw error
+          })
+      },
+      cancel: (reason) => reader.cancel(reason)
+    })
+    return new Response(body, {status: response.status, statusText: response.statusText, headers: response.headers})
+  }
+
+  // reports loading progress, at most once per `progressInterval`
+  _reportProgress() {
+    let now = Date.now()
+    if (!this._pooledDataRequest || (now - this._progressReportedAt < this._config.progressInterval)) return
+    this._progressReportedAt = now
+    let total = this._expectedRows,
+        received = this._receivedRows,
+        value = {activity: 'loading data', received, bytes: this._receivedBytes}
+    if (total !== undefined) {
+      value.total = total
+      value.percent = (total > 0) ? Math.min(100, Math.floor(100 * received / total)) : 100
+    }
+    if (this._totalBytes !== undefined) value.totalBytes = this._totalBytes
+    this._pooledDataRequest.updateDataRequestActivity(value)
+  }
+
+  // (re)starts the idle timeout, if configured; when nothing is received
+  //   for the duration of the timeout, the response stream is errored
+  //   and the request aborted
+  _resetIdleTimeout() {
+    let idleTimeout = this._config.idleTimeout
+    if (!(idleTimeout > 0)) return
+    this._clearIdleTimeout()
+    this._idleTimeoutId = setTimeout(() => {
+      delete this._idleTimeoutId
+      let error = new DataRequestError(`Data stream idle for ${idleTimeout} ms`, {timeout: true})
+      if (this._streamController) this._streamController.error(error)
+      if (this._pooledDataRequest) this._pooledDataRequest.abortDataRequest()
+    }, idleTimeout)
+  }
+
+  _clearIdleTimeout() {
+    if (this._idleTimeoutId) {
+      clearTimeout(this._idleTimeoutId)
+      delete this._idleTimeoutId
+    }
   }
 
   _getHeaderObject(stream) {
@@ -184,8 +1132,36 @@ class StreamedDataLoader {
  * The loader element attempts to share its data loader with other
  * elements requiring a compatibly configured loader. (It uses the
  * `SharedDataLoader` class to do this.) For this to work, the
- * configuration options `name`, `url`, `query` and `activityEvent`
- * must be the same.
+ * configuration options `name`, `url`, `query`, `pool`, `method`,
+ * `credentials`, `headers`, `prepareRequest`, `timeout`, `idleTimeout`,
+ * `retryPolicy`, `onAuthFailure`, `persist`, `cacheKey`, `format`,
+ * `decoder`, `pagination`, `deferWhileHidden`, `deferWhileOffline`,
+ * `worker` and `activityEvent` must be the same. Function-valued
+ * options (`prepareRequest`, `onAuthFailure` and `decoder`) must be the
+ * same function objects: equivalent functions (closures capturing
+ * different credentials, say) aren't shared.
+ *
+ * When the configuration changes (a new `query`, say), the element
+ * dereferences its shared loader and references one matching the new
+ * configuration. Previously loaded data is cleared, unless `keepData`
+ * is set, in which case it remains until replaced by the new loader's
+ * data. If `reconfigureDelay` is set, reconfiguration is delayed, so
+ * that rapid changes result in a single new loader.
+ *
+ * The element dispatches (or rather, the shared loader dispatches to
+ * the element) the load events described for `StreamedDataLoader`;
+ * `whenLoaded()` provides a promise that resolves when data is loaded
+ * (for the current configuration, once a pending reconfiguration is
+ * done).
+ *
+ * The element's `reload()`, `pause()` and `resume()` methods (and its
+ * `paused` property) control loading by the shared loader; the loader
+ * remains paused while any element sharing it is paused.
+ *
+ * The `priority` property is not part of the shared configuration:
+ * setting or raising it raises the priority of the shared loader's
+ * data requests (including a queued request), so an element may, for
+ * example, raise its priority when it becomes visible.
  */
 class StreamedDataLoaderElement extends LitElement {
 
@@ -195,8 +1171,32 @@ class StreamedDataLoaderElement extends LitElement {
     this.processor = undefined
     this.url = undefined
     this.query = undefined
+    this.pool = undefined
+    this.priority = undefined
+    this.method = undefined
+    this.credentials = undefined
+    this.headers = undefined
+    this.prepareRequest = undefined
+    this.timeout = undefined
+    this.idleTimeout = undefined
+    this.retryPolicy = undefined
+    this.onAuthFailure = undefined
+    this.paused = false
     this.activityEvent = undefined
+    this.pagination = undefined
+    this.format = undefined
+    this.decoder = undefined
+    this.persist = undefined
+    this.cacheKey = undefined
+    this.deferWhileHidden = undefined
+    this.deferWhileOffline = undefined
+    this.worker = undefined
+    this.keepData = false
+    this.reconfigureDelay = 0
     this._loader = undefined
+    this._loaderConfig = undefined
+    this._loaderProcessor = undefined
+    this._resetLoaderReady()
   }
 
   static get properties() {
@@ -217,12 +1217,114 @@ class StreamedDataLoaderElement extends LitElement {
        */
       query: {
         type: Object },
+      /** Request pool (see `PooledDataRequest`).
+       */
+      pool: {
+        type: String },
+      /** Request priority (see `PooledDataRequest`).
+       */
+      priority: {
+        type: Number },
+      /** Request method (see `PooledDataRequest`); default is `POST`.
+       */
+      method: {
+        type: String },
+      /** Request credentials mode; default is `include`.
+       */
+      credentials: {
+        type: String },
+      /** Additional request headers.
+       */
+      headers: {
+        type: Object },
+      /** Hook to modify requests before they are sent (see
+       * `PooledDataRequest`).
+       */
+      prepareRequest: {
+        type: Function,
+        attribute: false },
+      /** Response timeout, in milliseconds.
+       */
+      timeout: {
+        type: Number },
+      /** Stream idle timeout, in milliseconds.
+       */
+      idleTimeout: {
+        type: Number,
+        attribute: 'idle-timeout' },
+      /** Retry policy for failed requests (see `StreamedDataLoader`).
+       */
+      retryPolicy: {
+        type: Object,
+        attribute: 'retry-policy' },
+      /** Authentication failure hook (see `StreamedDataLoader`).
+       */
+      onAuthFailure: {
+        type: Function,
+        attribute: false },
       /** Activity event name.
        */
       activityEvent: {
         type: String,
         attribute: 'activity-event' },
 
+      /** Pagination mode: `single` or `progressive` (see
+       * `StreamedDataLoader`).
+       */
+      pagination: {
+        type: String },
+      /** Response format (name of a registered response decoder).
+       */
+      format: {
+        type: String },
+      /** Custom response decoding function (see `StreamedDataLoader`).
+       */
+      decoder: {
+        type: Function,
+        attribute: false },
+      /** If true, loaded data is persisted in IndexedDB (see
+       * `StreamedDataLoader`).
+       */
+      persist: {
+        type: Boolean },
+      /** Key for persisted data (see `StreamedDataLoader`).
+       */
+      cacheKey: {
+        type: String,
+        attribute: 'cache-key' },
+      /** If true, data requests are deferred while the page is hidden.
+       */
+      deferWhileHidden: {
+        type: Boolean,
+        attribute: 'defer-while-hidden' },
+      /** If false, data requests are not deferred while offline.
+       */
+      deferWhileOffline: {
+        type: Boolean,
+        attribute: 'defer-while-offline' },
+      /** Worker loading options (see `StreamedDataLoader`).
+       */
+      worker: {
+        type: Object },
+      /** If true, previously loaded data is kept when the loader is
+       * reconfigured, until data is loaded for the new configuration.
+       */
+      keepData: {
+        type: Boolean,
+        attribute: 'keep-data' },
+      /** Delay, in milliseconds, before the loader is reconfigured in
+       * response to configuration changes; rapid changes within the
+       * delay are coalesced.
+       */
+      reconfigureDelay: {
+        type: Number,
+        attribute: 'reconfigure-delay' },
+
+      /** If true, data loading is paused.
+       */
+      paused: {
+        type: Boolean },
+
       /** Data unloaded/error state.
        */
       state: {
@@ -235,11 +1337,9 @@ class StreamedDataLoaderElement extends LitElement {
   }
 
   disconnectedCallback() {
-    if (this._loader) {
-      let deref = sharedDataLoaders.dereferenceDataLoader(this._loader, this.processor)
-      delete this._loader
-      if (!deref) throw new Error(`could not dereference data loader (${this.name})`)
-    }
+    this._clearReconfigure()
+    this._dereferenceLoader(this._loader, this._loaderProcessor)
+    this._loader = undefined
     super.disconnectedCallback()
   }
 
@@ -248,23 +1348,179 @@ class StreamedDataLoaderElement extends LitElement {
 
   shouldUpdate(changedProperties) {
     this._shouldUpdateDataSource(changedProperties)
+    this._shouldUpdatePriority(changedProperties)
+    this._shouldUpdatePaused(changedProperties)
     super.shouldUpdate(changedProperties)
     return false
   }
 
   _shouldUpdateDataSource(changedProperties) {
-    if (changedProperties.has('name') || changedProperties.has('processor') ||
-        changedProperties.has('url') || changedProperties.has('query') ||
-        changedProperties.has('activityEvent')) {
-      if (this.processor && this.url && this.query) {
-        if (this._loader) throw new Error(`cannot reconfigure loader (${this.name})`)
-        let options = pick(this, ['name', 'url', 'query', 'activityEvent'])
-        this._loader = sharedDataLoaders.referenceDataLoader(
-          StreamedDataLoader, options, this.processor, this)
+    if (this._loaderOptionsChanged(changedProperties)) {
+      if (this._loader && (this.reconfigureDelay > 0)) {
+        this._clearReconfigure()
+        // `whenLoaded()` waits for the reconfigured loader
+        this._resetLoaderReady()
+        this._reconfigureId = setTimeout(() => {
+          delete this._reconfigureId
+          this._updateLoader()
+        }, this.reconfigureDelay)
+      }
+      else {
+        this._clearReconfigure()
+        this._updateLoader()
       }
     }
   }
 
+  _loaderOptionsChanged(changedProperties) {
+    return changedProperties.has('name') || changedProperties.has('processor') ||
+      changedProperties.has('url') || changedProperties.has('query') ||
+      changedProperties.has('pool') || this._requestOptionsChanged(changedProperties) ||
+      changedProperties.has('activityEvent')
+  }
+
+  _loaderConfigured() {
+    return this.processor && this.url && this.query
+  }
+
+  _loaderOptions() {
+    return {...pick(this, ['name', 'url', 'query', 'pool', 'activityEvent']), ...this._requestOptions()}
+  }
+
+  get _loaderClass() {
+    return StreamedDataLoader
+  }
+
+  // references a loader for the current configuration, replacing the
+  //   current loader (if any)
+  _updateLoader() {
+    let previous = this._loader,
+        previousProcessor = this._loaderProcessor,
+        options = this._loaderConfigured() ? this._loaderOptions() : undefined
+    if (previous && options && (previousProcessor === this.processor) && isEqual(options, this._loaderConfig)) {
+      this._resolveLoaderReady(previous)
+      return
+    }
+    // reference new loader before dereferencing the previous one, so
+    //   that a loader shared by both configurations is preserved
+    this._loader = undefined
+    if (options) {
+      this._loader = sharedDataLoaders.referenceDataLoader(
+        this._loaderClass, options, this.processor, this)
+      this._loaderConfig = options
+      this._loaderProcessor = this.processor
+    }
+    if (previous) {
+      this._dereferenceLoader(previous, previousProcessor)
+      if (!this.keepData && (previous !== this._loader)) this._clearData(previousProcessor)
+    }
+    if (this._loader) this._loaderCreated()
+  }
+
+  _dereferenceLoader(loader, processor) {
+    if (loader) {
+      loader.resume(this)
+      let deref = sharedDataLoaders.dereferenceDataLoader(loader, processor, this)
+      if (!deref) throw new Error(`could not dereference data loader (${this.name})`)
+      this._resetLoaderReady()
+    }
+  }
+
+  // replaces previously loaded data with no data
+  _clearData(processor) {
+    let stream = new ReadableStream({
+      start(controller) { controller.close() }
+    })
+    processor(stream, {count: 0})
+  }
+
+  _clearReconfigure() {
+    if (this._reconfigureId) {
+      clearTimeout(this._reconfigureId)
+      delete this._reconfigureId
+    }
+  }
+
+  _resetLoaderReady() {
+    this._loaderReady = new Promise((resolve) => { this._resolveLoaderReady = resolve })
+  }
+
+  _shouldUpdatePaused(changedProperties) {
+    if (this._loader) {
+      if (this.paused) this._loader.pause(this); else this._loader.resume(this)
+    }
+  }
+
+  /** Waits for data to be loaded (see
+   * `StreamedDataLoader.whenLoaded()`).
+   * @return {Promise} resolves with the response header object once
+   *   data has been loaded
+   */
+  whenLoaded() {
+    return this._loaderReady.then(loader => loader.whenLoaded())
+  }
+
+  /** Promise that resolves when data is loaded (see `whenLoaded()`).
+   * @type {Promise}
+   */
+  get loaded() {
+    return this.whenLoaded()
+  }
+
+  /** Reloads data (see `StreamedDataLoader.reload()`).
+   * @param {Object} options - (optional) reload options:
+   * *   `full` **boolean** - if true, replace previously loaded data
+   *     in its entirety
+   */
+  reload(options) {
+    if (this._loader) this._loader.reload(options)
+  }
+
+  /** Pauses data loading (equivalent to setting `paused`).
+   */
+  pause() {
+    this.paused = true
+    this._shouldUpdatePaused()
+  }
+
+  /** Resumes data loading (equivalent to clearing `paused`).
+   */
+  resume() {
+    this.paused = false
+    this._shouldUpdatePaused()
+  }
+
+  _requestOptionsChanged(changedProperties) {
+    return changedProperties.has('method') || changedProperties.has('credentials') ||
+      changedProperties.has('headers') || changedProperties.has('prepareRequest') ||
+      changedProperties.has('timeout') || changedProperties.has('idleTimeout') ||
+      changedProperties.has('retryPolicy') || changedProperties.has('onAuthFailure') ||
+      changedProperties.has('persist') || changedProperties.has('cacheKey') ||
+      changedProperties.has('format') ||
+      changedProperties.has('decoder') || changedProperties.has('pagination') ||
+      changedProperties.has('deferWhileHidden') || changedProperties.has('deferWhileOffline') ||
+      changedProperties.has('worker')
+  }
+
+  _requestOptions() {
+    // omit unset options so that defaults apply (and loaders are shared)
+    let options = pick(this, ['method', 'credentials', 'headers', 'prepareRequest', 'timeout',
+      'idleTimeout', 'retryPolicy', 'onAuthFailure', 'persist', 'cacheKey', 'format', 'decoder', 'pagination',
+      'deferWhileHidden', 'deferWhileOffline', 'worker'])
+    return pickBy(options, (value) => value !== undefined)
+  }
+
+  _loaderCreated() {
+    this._resolveLoaderReady(this._loader)
+    this._shouldUpdatePriority()
+    this._shouldUpdatePaused()
+  }
+
+  _shouldUpdatePriority(changedProperties) {
+    if (this._loader && (this.priority !== undefined))
+      this._loader.raisePriority(this.priority)
+  }
+
 }
 
 customElements.define('streamed-data-loader', StreamedDataLoaderElement)
@@ -3,8 +3,8 @@
 /* eslint new-cap: ["warn", { "capIsNewExceptions": ["UpdatingDataLoaderMixin", "UpdatingDataLoaderElementMixin"] }] */
 
 import pick from 'lodash/pick'
+import pickBy from 'lodash/pickBy'
 
-import {sharedDataLoaders} from './SharedDataLoaders.js'
 import {default as UpdatingDataLoaderMixin, UpdatingDataLoaderElementMixin} from './UpdatingDataLoaderMixin.js'
 import {default as StreamedDataLoaderElement, StreamedDataLoader} from './streamed-data-loader.js'
 
@@ -30,18 +30,27 @@ class UpdatingStreamedDataLoaderElement extends UpdatingDataLoaderElementMixin(S
     super()
   }
 
-  _shouldUpdateDataSource(changedProperties) {
-    if (changedProperties.has('name') || changedProperties.has('processor') ||
-        changedProperties.has('url') || changedProperties.has('query') ||
-        changedProperties.has('statusURL') || changedProperties.has('statusEvent') ||
-        changedProperties.has('activityEvent')) {
-      if (this.processor && this.url && this.query && this.statusURL && this.statusEvent) {
-        if (this._loader) throw new Error(`cannot reconfigure loader (${this.name})`)
-        let options = pick(this, ['name', 'url', 'query', 'statusURL', 'statusEvent', 'activityEvent'])
-        this._loader = sharedDataLoaders.referenceDataLoader(
-          UpdatingStreamedDataLoader, options, this.processor, this)
-      }
-    }
+  _loaderOptionsChanged(changedProperties) {
+    return super._loaderOptionsChanged(changedProperties) ||
+      changedProperties.has('statusURL') || changedProperties.has('statusEvent') ||
+      changedProperties.has('statusTransport') || changedProperties.has('statusOptions') ||
+      changedProperties.has('abortOnChange') ||
+      changedProperties.has('statusDebounce') || changedProperties.has('statusMaxWait') ||
+      changedProperties.has('statusThrottle') || changedProperties.has('maxInlineRows')
+  }
+
+  _loaderConfigured() {
+    return super._loaderConfigured() && this.statusURL && this.statusEvent
+  }
+
+  _loaderOptions() {
+    let options = pick(this, ['statusURL', 'statusEvent', 'statusTransport', 'statusOptions',
+      'abortOnChange', 'statusDebounce', 'statusMaxWait', 'statusThrottle', 'maxInlineRows'])
+    return {...super._loaderOptions(), ...pickBy(options, (value) => value !== undefined)}
+  }
+
+  get _loaderClass() {
+    return UpdatingStreamedDataLoader
   }
 
 }